@@ -2,6 +2,7 @@ import { Client } from "@notionhq/client"; // Notion SDK
 import { createPage, createNotionBuilder } from "notion-helper"; // Notion helper
 import { markdownToBlocks } from '@tryfabric/martian'; // Markdown to Notion blocks
 import uploadFile from "./helpers/upload-file.mjs";
+import errors from "./helpers/errors.mjs";
 
 import EMOJI from "./helpers/emoji.mjs"; // Emoji list
 
@@ -10,7 +11,7 @@ export default {
     key: "send-to-notion-test",
     description: "A versatile action for sending data to Notion. Primarily used for sending the results of the Transcribe and Summarize action to Notion.",
     type: "action",
-    version: "0.0.18",
+    version: "0.0.19",
     props: {
         instructions: {
             type: "alert",
@@ -602,6 +603,7 @@ Finally, select the sections you'd like to include in your note and configure th
     },
     methods: {
         ...uploadFile.methods,
+        ...errors.methods,
         createCompressedTranscript(textArray) {
             const compressedArray = [];
             let i = 0;
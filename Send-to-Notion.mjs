@@ -2,6 +2,7 @@ import { Client } from "@notionhq/client@4.0.2"; // Notion SDK
 import { createPage, createNotionBuilder, buildRichTextObj, mentionDate } from "notion-helper"; // Notion helper
 import {markdownToBlocks} from '@tryfabric/martian'; // Markdown to Notion blocks
 import uploadFile from "./helpers/upload-file.mjs";
+import errors from "./helpers/errors.mjs";
 
 import EMOJI from "./helpers/emoji.mjs"; // Emoji list
 
@@ -10,7 +11,7 @@ export default {
     key: "send-to-notion",
     description: "A versatile action for sending data to Notion. Primarily used for sending the results of the Transcribe and Summarize action to Notion.",
     type: "action",
-    version: "0.0.78",
+    version: "0.0.82",
     props: {
         instructions: {
             type: "alert",
@@ -437,6 +438,23 @@ Finally, select the sections you'd like to include in your note and configure th
                     default: false,
                     optional: true,
                 },
+                highlightLowConfidence: {
+                    type: "boolean",
+                    label: "Highlight Low-Confidence Words",
+                    description: `If true, words and phrases the transcription service wasn't sure about will be highlighted in yellow in the Transcript, Original-Language Transcript, and Timestamped Transcript sections. This makes it easier to find the parts of a transcript that need proofreading.\n\nConfidence scores come from Deepgram, AssemblyAI, ElevenLabs, and Whisper-based services (OpenAI, Groq, and most custom servers). Whisper only scores whole segments, so whole sentences will be highlighted. If AI Cleanup rewrote a passage, its highlights may be missing.`,
+                    default: false,
+                    optional: true,
+                    reloadProps: true,
+                },
+                lowConfidenceThreshold: {
+                    type: "string",
+                    label: "Low-Confidence Threshold",
+                    description: "Words with a confidence score (between 0 and 1) below this value will be highlighted. Defaults to 0.6. Raise it (up to 0.9) to highlight more of the transcript.",
+                    default: "0.6",
+                    optional: true,
+                    hidden: !this.highlightLowConfidence,
+                    disabled: !this.highlightLowConfidence
+                },
                 giveMeMoreControl: {
                     type: "boolean",
                     label: "Give Me More Control 👷",
@@ -499,6 +517,85 @@ Finally, select the sections you'd like to include in your note and configure th
     },
     methods: {
         ...uploadFile.methods,
+        ...errors.methods,
+        getLowConfidencePhrases(spans, threshold) {
+            // Merge neighbouring low-confidence words into phrases, so "Flylighter's new" is one highlight instead of two
+            const phrases = [];
+            let previousIndex = null;
+
+            for (const span of spans) {
+                if (!(span.confidence < threshold)) continue;
+
+                if (previousIndex !== null && span.index === previousIndex + 1) {
+                    phrases[phrases.length - 1] += ` ${span.text}`;
+                } else {
+                    phrases.push(span.text);
+                }
+                previousIndex = span.index;
+            }
+
+            // Very short phrases (e.g. "a") would match all over the place
+            return phrases.filter(phrase => phrase.replace(/[^\p{L}\p{N}]/gu, "").length > 1);
+        },
+        applyConfidenceHighlights(blocks, phrases) {
+            // Notion allows up to 100 rich text objects per block
+            const MAX_RICH_TEXT_OBJECTS = 100;
+
+            // Phrases appear in the same order as the transcript, so only look a little way ahead for the next match
+            const LOOKAHEAD = 25;
+
+            let nextPhrase = 0;
+
+            const highlightString = (text) => {
+                const lowerText = text.toLowerCase();
+                const parts = [];
+                let position = 0;
+
+                while (nextPhrase < phrases.length) {
+                    let match = null;
+                    for (let k = nextPhrase; k < Math.min(phrases.length, nextPhrase + LOOKAHEAD); k++) {
+                        const at = lowerText.indexOf(phrases[k].toLowerCase(), position);
+                        if (at !== -1) {
+                            match = { k, at, end: at + phrases[k].length };
+                            break;
+                        }
+                    }
+
+                    if (!match) break;
+
+                    if (match.at > position) {
+                        parts.push(text.slice(position, match.at));
+                    }
+                    parts.push(buildRichTextObj(text.slice(match.at, match.end), {
+                        annotations: { color: "yellow_background" }
+                    }));
+
+                    position = match.end;
+                    nextPhrase = match.k + 1;
+                }
+
+                if (parts.length === 0) {
+                    return [text];
+                }
+
+                if (position < text.length) {
+                    parts.push(text.slice(position));
+                }
+
+                return parts.flat();
+            };
+
+            return blocks.map(block => {
+                const strings = Array.isArray(block) ? block : [block];
+                const richText = strings.flatMap(highlightString);
+
+                if (richText.length === strings.length || richText.length > MAX_RICH_TEXT_OBJECTS) {
+                    return block;
+                }
+
+                return richText;
+            });
+        },
         createCompressedTranscript(textArray) {
             const compressedArray = [];
             let i = 0;
@@ -559,6 +656,10 @@ Finally, select the sections you'd like to include in your note and configure th
             this.compressTimestamps = false;
         }
 
+        if (this.highlightLowConfidence === undefined) {
+            this.highlightLowConfidence = false;
+        }
+
         if (this.suppressAudioWarning === undefined) {
             this.suppressAudioWarning = false;
         }
@@ -591,6 +692,10 @@ Finally, select the sections you'd like to include in your note and configure th
         console.log(`Included sections: ${this.includedSections}`)
         console.log(`Compress transcripts: ${this.compressTranscripts}`)
         console.log(`Compress timestamps: ${this.compressTimestamps}`)
+        console.log(`Highlight low-confidence words: ${this.highlightLowConfidence}`)
+        if (this.highlightLowConfidence === true) {
+            console.log(`Low-confidence threshold: ${this.lowConfidenceThreshold}`)
+        }
         console.log(`Toggle headers: ${this.toggleHeaders}`)
         console.log(`Give me more control: ${this.giveMeMoreControl}`)
         
@@ -1022,6 +1127,43 @@ Finally, select the sections you'd like to include in your note and configure th
             }
         }
 
+        // If this.highlightLowConfidence is true, highlight words the transcription service wasn't sure about
+        if (this.highlightLowConfidence === true) {
+            const lowConfidenceSpans = fileInfo.other_data.low_confidence;
+
+            if (!Array.isArray(lowConfidenceSpans) || lowConfidenceSpans.length === 0) {
+                console.log(`Highlight Low-Confidence Words is enabled, but the Transcribe and Summarize step didn't return any low-confidence words. Skipping highlighting.`);
+            } else {
+                let threshold = 0.6;
+                if (this.lowConfidenceThreshold !== undefined && this.lowConfidenceThreshold !== "") {
+                    const parsed = parseFloat(this.lowConfidenceThreshold);
+                    if (Number.isFinite(parsed) && parsed > 0 && parsed <= 1) {
+                        // Transcribe and Summarize only exports spans below 0.9, so a higher threshold can't highlight anything more
+                        threshold = Math.min(parsed, 0.9);
+                        if (parsed > 0.9) {
+                            console.log(`Low-Confidence Threshold ${parsed} is above 0.9, the highest confidence Transcribe and Summarize returns low-confidence words for. Using 0.9.`);
+                        }
+                    } else {
+                        console.warn(`Low-Confidence Threshold "${this.lowConfidenceThreshold}" isn't a number between 0 and 1. Using the default of 0.6 instead.`);
+                    }
+                }
+                const phrases = this.getLowConfidencePhrases(lowConfidenceSpans, threshold);
+
+                console.log(`Highlighting ${phrases.length} low-confidence phrase(s) below a confidence of ${threshold}.`);
+
+                // A translated transcript won't contain the original words, so highlight the original-language transcript instead
+                const sections = notionData.page_content.original_language_transcript
+                    ? ["original_language_transcript", "timestamped_transcript"]
+                    : ["transcript", "timestamped_transcript"];
+
+                for (const section of sections) {
+                    if (notionData.page_content[section]) {
+                        notionData.page_content[section] = this.applyConfidenceHighlights(notionData.page_content[section], phrases);
+                    }
+                }
+            }
+        }
+
         // Start constructing the page content
 
         // If this.createAudioBlock is true, create an audio block
@@ -0,0 +1,137 @@
+import transcribeSummarize from "./Transcribe-Summarize.mjs";
+import batch from "./helpers/batch.mjs";
+import Bottleneck from "bottleneck@~2.19.5";
+import fs from "fs";
+
+export default {
+    name: "Transcribe and Summarize (Batch)",
+    description: "Runs the Transcribe and Summarize pipeline on every recording in a folder, zip archive, or list of files",
+    key: "transcribe-summarize-batch",
+    version: "0.0.4",
+    type: "action",
+    props: {
+        ...transcribeSummarize.props,
+        instructions: {
+            type: "alert",
+            alertType: "info",
+            content: `## Instructions
+
+This step works exactly like **Transcribe and Summarize**, but processes many recordings in one run. It's useful for migrating a backlog of old voice memos without triggering the workflow once per file.
+
+Set **Batch Source** to one of the following:
+
+- A directory in temporary storage, e.g. \`/tmp/voice-memos\`. Every audio and video file inside it (including subfolders) is processed.
+- A zip archive in temporary storage, e.g. \`/tmp/voice-memos.zip\`. Its recordings are extracted and processed.
+- An array from a previous step, e.g. **{{steps.download_files.$return_value}}**. Each item can be a path like \`/tmp/memo.m4a\`, or an object with a \`path\` (or \`filePath\`/\`tmpPath\`) property and optional \`name\` and \`link\` properties.
+
+All other settings apply to every file. The step returns one result per file, in the same shape as the Transcribe and Summarize step, plus a batch summary with the successes, failures, and minutes of audio sent to each transcription service.
+
+**Note:** Wait for Callback and the Path to File, Source URL, and File Link settings aren't used in batch mode.`,
+        },
+        batch_source: {
+            type: "any",
+            label: "Batch Source",
+            description: `A directory or zip archive in /tmp/ (e.g. \`/tmp/voice-memos\`), or an array of file paths from a previous step. See the instructions above for details.`,
+        },
+        batch_concurrency: {
+            type: "integer",
+            label: "Files at Once",
+            description: `How many files are processed at the same time. Each file's chunks are already transcribed in parallel, so higher values mostly help with many short recordings. Keep this low on Pipedream's default 256MB of memory. Defaults to 2.`,
+            min: 1,
+            max: 5,
+            default: 2,
+            optional: true,
+        },
+    },
+    async additionalProps(previousPropDefs) {
+        return await transcribeSummarize.additionalProps.call(this, previousPropDefs);
+    },
+    methods: {
+        ...transcribeSummarize.methods,
+        ...batch.methods,
+    },
+    async run({ steps, $ }) {
+        const startTime = Date.now();
+
+        const files = await this.collectBatchFiles(this.batch_source);
+        if (files.length === 0) {
+            throw new Error(`No audio or video files were found in the Batch Source.`);
+        }
+
+        const concurrency = this.batch_concurrency || 2;
+        console.log(`Processing ${files.length} file(s), ${concurrency} at a time...`);
+
+        const limiter = new Bottleneck({ maxConcurrent: concurrency });
+
+        // Created here so each file's copy of the step inherits it, and every file shares the same
+        // transcription rate limits and audio-per-hour budget
+        this.getTranscriptionRateContext();
+        const trigger = this.steps?.trigger ?? {};
+        const parentId = trigger.context?.id ?? Date.now();
+
+        const processFile = async (file, index) => {
+            const label = `[${index + 1}/${files.length}] ${file.name}`;
+            console.log(`${label}: starting...`);
+
+            // Each file runs the single-file pipeline on its own copy of the step, so per-run state doesn't leak between files.
+            // State that's already on this step, like the rate limiters, is shared by every copy.
+            // The trigger is replaced with one describing this file, which also gives each file its own chunk directory.
+            const fileStep = Object.create(this);
+            const { size } = await fs.promises.stat(file.path);
+            Object.assign(fileStep, {
+                path_to_file: file.path,
+                file_link: file.link ?? undefined,
+                source_url: undefined,
+                callback_mode: false,
+                run_key: this.run_key ? `${this.run_key}:${file.path}` : undefined,
+                steps: {
+                    ...this.steps,
+                    trigger: {
+                        ...trigger,
+                        context: { ...trigger.context, id: `${parentId}-${index + 1}` },
+                        event: { id: `${parentId}:${file.path}`, name: file.name, size },
+                    },
+                },
+            });
+
+            const file$ = {
+                ...$,
+                context: undefined,
+                // Only the batch step's own summary should be shown
+                export: (key, value) => key === "$summary" ? undefined : $.export(key, value),
+            };
+
+            try {
+                const result = await transcribeSummarize.run.call(fileStep, { steps: fileStep.steps, $: file$ });
+                console.log(`${label}: done.`);
+                return { file: file.path, name: file.name, status: "success", result };
+            } catch (error) {
+                console.error(`${label}: failed. ${error.message}`);
+                return {
+                    file: file.path,
+                    name: file.name,
+                    status: "failed",
+                    error: error.message,
+                    category: this.classifyError(error).category,
+                    fix: error.fix ?? null,
+                };
+            }
+        };
+
+        const results = await Promise.all(files.map((file, index) => limiter.schedule(() => processFile(file, index))));
+
+        const summary = {
+            ...this.summarizeBatch(results),
+            duration_seconds: Math.round((Date.now() - startTime) / 1000),
+        };
+
+        console.log(`Batch complete: ${summary.succeeded} succeeded, ${summary.failed} failed.`);
+
+        // Files whose summary skipped sections the AI services couldn't process
+        const incomplete = results.filter(entry => entry.result?.other_data?.metadata?.ai_failures).length;
+
+        $.export("$summary", `Processed ${summary.total} file(s): ${summary.succeeded} succeeded, ${summary.failed} failed. ${summary.cost.billed_audio_minutes} minutes of audio were transcribed.${incomplete > 0 ? ` ${incomplete} file(s) have an incomplete summary; see other_data.metadata.ai_failures in their results.` : ""}`);
+
+        return { summary, results };
+    },
+};
@@ -4,12 +4,34 @@ import transcribe from "./helpers/transcribe.mjs";
 import textProcessor from "./helpers/text-processor.mjs";
 import ffmpegHelper from "./helpers/ffmpeg.mjs";
 import llm from "./helpers/llm.mjs";
+import store from "./helpers/store.mjs";
+import urlDownload from "./helpers/url-download.mjs";
+import errors from "./helpers/errors.mjs";
+
+// Models offered in the props and accepted by run(), kept in one list so every option passes validation
+const serviceModels = {
+    transcription: {
+        openai: ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"],
+        deepgram: ["nova-3", "nova-2", "nova"],
+        groqcloud: ["whisper-large-v3-turbo", "whisper-large-v3"],
+        google_gemini: ["gemini-2.0-flash", "gemini-2.0-flash-lite", "gemini-1.5-flash"],
+        elevenlabs: ["scribe_v1"],
+        assemblyai: ["best", "slam-1", "nano", "universal"]
+    },
+    ai: {
+        openai: ["gpt-4.1-nano", "gpt-4.1-mini", "gpt-4.1", "gpt-4o-mini", "gpt-4o"],
+        anthropic: ["claude-3-5-haiku-latest", "claude-3-5-sonnet-latest", "claude-sonnet-4-0", "claude-opus-4-0"],
+        google_gemini: ["gemini-2.0-flash-lite", "gemini-2.0-flash", "gemini-1.5-flash"],
+        groqcloud: ["llama-3.1-8b-instant", "llama-3.3-70b-versatile", "meta-llama/llama-4-scout-17b-16e-instruct", "openai/gpt-oss-120b", "openai/gpt-oss-20b"],
+        cerebras: ["llama-4-scout-17b-16e-instruct", "llama3.1-8b", "llama-3.3-70b"]
+    }
+};
 
 export default {
     name: "Transcribe and Summarize",
     description: "A robust workflow for transcribing and optionally summarizing audio files",
     key: "transcribe-summarize",
-    version: "0.1.77",
+    version: "0.1.110",
     type: "action",
     props: {
         instructions: {
@@ -51,7 +73,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 			type: "string",
 			label: "Transcription Service",
 			description:
-				`Choose the service to use for transcription. Once you select a service, you'll need to provide an API key in the property that appears later in this step's setup.\n\nOptions include [OpenAI](https://platform.openai.com/docs/guides/speech-to-text), [Deepgram](https://deepgram.com/product/speech-to-text), [Google Gemini](https://ai.google.dev/gemini-api/docs/audio), [Groq](https://console.groq.com/docs/speech-to-text), [AssemblyAI](https://www.assemblyai.com/products/speech-to-text), and [ElevenLabs](https://elevenlabs.io/docs/api-reference/speech-to-text/convert).\n\n**Recommendations:** If you're on Pipedream's free plan, you're likely limited to 3 total app connections. That means you'll want a service that can handle both transcription and summarization. **Groq, Gemini, and OpenAI** can all do this. Here some more detailed recommendations:\n\n- **Groq** is the best overall option for most people. It has a generous free tier, is very accurate, and is one of the fastest services. Its Whisper models can return accurate timestamps. On the pay-by-usage Dev Tier, its Whisper models are the fastest and least expensive in the industry. It can also be used for summarization.\n\n - **Google Gemini** is also extremely accurate and has a generous free tier. Like Groq, it can also be used for summarization, and the Gemini models may be more powerful than Groq's open-source models for summarization. It is NOT useful if you need accurate timestamps.\n\n - **ElevenLabs** is a good option for transcription.\n\n - **Deepgram** is extremely fast (on par or faster than Groq). It's more expensive, but supports diarization (speaker labels). Under this workflow's current architecture, you should choose Deepgram if you want caption-style timestamps with speaker labels.\n\n- **AssemblyAI** is another good transcription option comparable to Deepgram. Under this workflow's current architecture, you should choose AssemblyAI if you want larger timestamp segments for multi-speaker audio, rather than caption-style segments.\n\n- **OpenAI** is the least recommended option. Its summarization models are good, but its transcription models are slow and often reject requests.`,
+				`Choose the service to use for transcription. Once you select a service, you'll need to provide an API key in the property that appears later in this step's setup.\n\nOptions include [OpenAI](https://platform.openai.com/docs/guides/speech-to-text), [Deepgram](https://deepgram.com/product/speech-to-text), [Google Gemini](https://ai.google.dev/gemini-api/docs/audio), [Groq](https://console.groq.com/docs/speech-to-text), [AssemblyAI](https://www.assemblyai.com/products/speech-to-text), and [ElevenLabs](https://elevenlabs.io/docs/api-reference/speech-to-text/convert).\n\n**Recommendations:** If you're on Pipedream's free plan, you're likely limited to 3 total app connections. That means you'll want a service that can handle both transcription and summarization. **Groq, Gemini, and OpenAI** can all do this. Here some more detailed recommendations:\n\n- **Groq** is the best overall option for most people. It has a generous free tier, is very accurate, and is one of the fastest services. Its Whisper models can return accurate timestamps. On the pay-by-usage Dev Tier, its Whisper models are the fastest and least expensive in the industry. It can also be used for summarization.\n\n - **Google Gemini** is also extremely accurate and has a generous free tier. Like Groq, it can also be used for summarization, and the Gemini models may be more powerful than Groq's open-source models for summarization. It is NOT useful if you need accurate timestamps.\n\n - **ElevenLabs** is a good option for transcription.\n\n - **Deepgram** is extremely fast (on par or faster than Groq). It's more expensive, but supports diarization (speaker labels). Under this workflow's current architecture, you should choose Deepgram if you want caption-style timestamps with speaker labels.\n\n- **AssemblyAI** is another good transcription option comparable to Deepgram. Under this workflow's current architecture, you should choose AssemblyAI if you want larger timestamp segments for multi-speaker audio, rather than caption-style segments.\n\n- **OpenAI** is the least recommended option. Its summarization models are good, but its transcription models are slow and often reject requests.\n\n- **Custom / Self-hosted** lets you use your own server, as long as it implements OpenAI's \`/audio/transcriptions\` endpoint (e.g. [faster-whisper-server](https://github.com/fedirz/faster-whisper-server), [whisper.cpp server](https://github.com/ggerganov/whisper.cpp/tree/master/examples/server), or LocalAI). Your audio is only sent to the base URL you provide.`,
 			options: [
 				{
 					label: "Groq (Whisper)",
@@ -76,6 +98,10 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 				{
 					label: "Google (Gemini)",
 					value: "google_gemini",
+				},
+				{
+					label: "Custom / Self-hosted (OpenAI-compatible)",
+					value: "custom",
 				}
 			],
             reloadProps: true,
@@ -84,7 +110,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 			type: "string",
 			label: "AI Summary Service (Also Used for Translation)",
 			description:
-				`Choose the service to use for AI summaries, translations, and AI-generated note titles. Once you select a service, you'll need to provide an API key in the property that appears later in this step's setup.\n\nOptions include [OpenAI](https://platform.openai.com/docs/api-reference/chat), [Anthropic](https://docs.anthropic.com/en/api/messages), [Google Gemini](https://ai.google.dev/gemini-api/docs/text-generation), [Groq](https://console.groq.com/docs/text-chat), and [Cerebras](https://inference-docs.cerebras.ai/api-reference/chat-completions).\n\nYou can also select **None** – this will disable the summary step.\n\n*Note: If you select **None**, you won't be able to create an AI-generated note title. Alternatively, you can select a service here if you want to generate a title, then uncheck all other summary options in the Summary Options property.*\n\n*Note: If you select **None**, you won't be able to translate the transcript into another language. If you want to translate the transcript, select a service here, then enable Advanced Options.*\n\n**Recommendations:** If you're on Pipedream's free plan, you're likely limited to 3 total app connections. That means you'll want a service that can handle both transcription and summarization. **Groq, Gemini, and OpenAI** can all do this. Here some more detailed recommendations:\n\n- **Groq** is the best overall option for most people. It's free, very accurate, and is one of the fastest services. It can also be used for transcription.\n\n - **Google Gemini** is also extremely accurate and has a generous free tier. Like Groq, it can also be used for transcription, and the Gemini models may be more powerful than Groq's open-source models for summarization.\n\n - **OpenAI** is a good option for summarization, but its transcription models are slow and often reject requests.\n\n - **Anthropic** is a good option for summarization, but it does not offer transcription.\n\n - **Cerebras** is similar to Groq, offering open-source Meta Llama models. It is usually the fastest LLM option and has a free tier. It does not offer transcription models.`,
+				`Choose the service to use for AI summaries, translations, and AI-generated note titles. Once you select a service, you'll need to provide an API key in the property that appears later in this step's setup.\n\nOptions include [OpenAI](https://platform.openai.com/docs/api-reference/chat), [Anthropic](https://docs.anthropic.com/en/api/messages), [Google Gemini](https://ai.google.dev/gemini-api/docs/text-generation), [Groq](https://console.groq.com/docs/text-chat), and [Cerebras](https://inference-docs.cerebras.ai/api-reference/chat-completions).\n\nYou can also select **None** – this will disable the summary step.\n\n*Note: If you select **None**, you won't be able to create an AI-generated note title. Alternatively, you can select a service here if you want to generate a title, then uncheck all other summary options in the Summary Options property.*\n\n*Note: If you select **None**, you won't be able to translate the transcript into another language. If you want to translate the transcript, select a service here, then enable Advanced Options.*\n\n**Recommendations:** If you're on Pipedream's free plan, you're likely limited to 3 total app connections. That means you'll want a service that can handle both transcription and summarization. **Groq, Gemini, and OpenAI** can all do this. Here some more detailed recommendations:\n\n- **Groq** is the best overall option for most people. It's free, very accurate, and is one of the fastest services. It can also be used for transcription.\n\n - **Google Gemini** is also extremely accurate and has a generous free tier. Like Groq, it can also be used for transcription, and the Gemini models may be more powerful than Groq's open-source models for summarization.\n\n - **OpenAI** is a good option for summarization, but its transcription models are slow and often reject requests.\n\n - **Anthropic** is a good option for summarization, but it does not offer transcription.\n\n - **Cerebras** is similar to Groq, offering open-source Meta Llama models. It is usually the fastest LLM option and has a free tier. It does not offer transcription models.\n\n - **Custom / Self-hosted** lets you use your own LLM server, as long as it implements OpenAI's \`/chat/completions\` endpoint (e.g. [Ollama](https://ollama.com), [vLLM](https://docs.vllm.ai), or [LM Studio](https://lmstudio.ai)). Your transcript is only sent to the base URL you provide.`,
 			options: [
 				{
 					label: "OpenAI",
@@ -106,6 +132,10 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 					label: "Cerebras",
 					value: "cerebras",
 				},
+				{
+					label: "Custom / Self-hosted (OpenAI-compatible)",
+					value: "custom",
+				},
 				{
 					label: "None (No Summary)",
 					value: "none",
@@ -126,7 +156,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 openai: {
                     name: "OpenAI",
                     recommended: "whisper-1",
-                    models: ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"],
+                    models: serviceModels.transcription.openai,
                     prop: "openai",
                     app: {
                         type: "app",
@@ -138,7 +168,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 deepgram: {
                     name: "Deepgram",
                     recommended: "nova-3",
-                    models: ["nova-3", "nova-2", "nova"],
+                    models: serviceModels.transcription.deepgram,
                     prop: "deepgram",
                     app: {
                         type: "app",
@@ -150,7 +180,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 groqcloud: {
                     name: "Groq",
                     recommended: "whisper-large-v3-turbo",
-                    models: ["whisper-large-v3-turbo", "whisper-large-v3"],
+                    models: serviceModels.transcription.groqcloud,
                     prop: "groqcloud",
                     app: {
                         type: "app",
@@ -162,7 +192,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 google_gemini: {
                     name: "Google Gemini",
                     recommended: "gemini-2.0-flash",
-                    models: ["gemini-2.0-flash", "gemini-2.0-flash-lite", "gemini-1.5-flash"],
+                    models: serviceModels.transcription.google_gemini,
                     prop: "google_gemini",
                     app: {
                         type: "app",
@@ -174,7 +204,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 elevenlabs: {
                     name: "ElevenLabs",
                     recommended: "scribe_v1",
-                    models: ["scribe_v1"],
+                    models: serviceModels.transcription.elevenlabs,
                     prop: "elevenlabs",
                     app: {
                         type: "app",
@@ -186,7 +216,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 assemblyai: {
                     name: "AssemblyAI",
                     recommended: "best",
-                    models: ["best", "slam-1", "nano", "universal"],
+                    models: serviceModels.transcription.assemblyai,
                     prop: "assemblyai",
                     app: {
                         type: "app",
@@ -200,7 +230,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 openai: {
                     name: "OpenAI",
                     recommended: "gpt-4.1-nano",
-                    models: ["gpt-4.1-nano", "gpt-4.1-mini", "gpt-4.1", "gpt-4o-mini", "gpt-4o"],
+                    models: serviceModels.ai.openai,
                     prop: "openai",
                     app: {
                         type: "app",
@@ -212,7 +242,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 anthropic: {
                     name: "Anthropic",
                     recommended: "claude-3-5-haiku-latest",
-                    models: ["claude-3-5-haiku-latest", "claude-3-5-sonnet-latest", "claude-sonnet-4-0", "claude-opus-4-0"],
+                    models: serviceModels.ai.anthropic,
                     prop: "anthropic",
                     app: {
                         type: "app",
@@ -224,7 +254,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 google_gemini: {
                     name: "Google Gemini",
                     recommended: "gemini-2.0-flash-lite",
-                    models: ["gemini-2.0-flash-lite", "gemini-2.0-flash", "gemini-1.5-flash"],
+                    models: serviceModels.ai.google_gemini,
                     prop: "google_gemini",
                     app: {
                         type: "app",
@@ -236,7 +266,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 groqcloud: {
                     name: "Groq",
                     recommended: "meta-llama/llama-4-scout-17b-16e-instruct",
-                    models: ["llama-3.1-8b-instant", "llama-3.3-70b-versatile", "meta-llama/llama-4-scout-17b-16e-instruct", "openai/gpt-oss-120b", "openai/gpt-oss-20b"],
+                    models: serviceModels.ai.groqcloud,
                     prop: "groqcloud",
                     app: {
                         type: "app",
@@ -248,7 +278,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 cerebras: {
                     name: "Cerebras",
                     recommended: "llama-4-scout-17b-16e-instruct",
-                    models: ["llama-4-scout-17b-16e-instruct", "llama3.1-8b", "llama-3.3-70b"],
+                    models: serviceModels.ai.cerebras,
                     prop: "cerebras",
                     app: {
                         type: "app",
@@ -277,7 +307,43 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 }
             });
 
-            if (selectedTranscriptionService && selectedTranscriptionService !== 'none') {
+            const customTranscriptionProps = ['custom_transcription_base_url', 'custom_transcription_api_key'];
+            customTranscriptionProps.forEach(propName => {
+                if (props[propName]) {
+                    props[propName].hidden = true;
+                    props[propName].disabled = true;
+                }
+            });
+
+            if (selectedTranscriptionService === 'custom') {
+
+                props.custom_transcription_base_url = {
+                    type: "string",
+                    label: "Custom Transcription Base URL",
+                    description: `The base URL of your self-hosted transcription server. The server must implement OpenAI's \`/audio/transcriptions\` endpoint, and this workflow will append \`/audio/transcriptions\` to the URL you provide.\n\nIn most cases, the URL should end in \`/v1\`.\n\nExample: \`http://whisper.internal.example.com:8000/v1\``,
+                    hidden: false,
+                    disabled: false,
+                };
+
+                props.custom_transcription_api_key = {
+                    type: "string",
+                    label: "Custom Transcription API Key",
+                    description: `If your server requires an API key, enter it here. It will be sent as a Bearer token. Leave this blank if your server doesn't require authentication.`,
+                    secret: true,
+                    optional: true,
+                    hidden: false,
+                    disabled: false,
+                };
+
+                props.transcription_model = {
+                    type: "string",
+                    label: "Speech-to-Text Model",
+                    description: `Enter the name of the model your server should use for transcription, exactly as your server expects it.\n\nExamples: \`Systran/faster-whisper-large-v3\`, \`whisper-1\`, \`large-v3-turbo\``,
+                    hidden: false,
+                    disabled: false,
+                    reloadProps: true
+                };
+            } else if (selectedTranscriptionService && selectedTranscriptionService !== 'none') {
                 const config = serviceConfigs.transcription[selectedTranscriptionService];
                 if (config) {
 
@@ -315,6 +381,53 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 
             if (this.advanced_options === true) {
 
+                const fallbackOptions = [];
+                Object.entries(serviceConfigs.transcription).forEach(([service, config]) => {
+                    config.models.forEach(model => {
+                        const value = model === config.recommended ? service : `${service}:${model}`;
+                        if (service === selectedTranscriptionService && model === this.transcription_model) return;
+                        fallbackOptions.push({ label: `${config.name} (${model})`, value });
+                    });
+                });
+
+                props.transcription_fallbacks = {
+                    type: "string[]",
+                    label: "Transcription Fallbacks",
+                    description: `Optionally set an ordered list of backup transcription services. If a chunk still fails after all retries with your main **Transcription Service**, it will be sent to the first service in this list, then the next, and so on.
+
+Each entry can be a service (e.g. \`deepgram\`), which uses that service's recommended model, or a service and model separated by a colon (e.g. \`groqcloud:whisper-large-v3\`).
+
+You'll need to connect an account for each service you add here. The apps will appear below once you've selected them.
+
+**Note:** If your services differ in which file types they accept, your file will be converted to a format all of them support. If any fallback can't accept large files, your file will be chunked even if **Disable Chunking** is enabled. Custom / Self-hosted servers can't be used as fallbacks.`,
+                    options: fallbackOptions,
+                    optional: true,
+                    reloadProps: true,
+                };
+
+                (Array.isArray(this.transcription_fallbacks) ? this.transcription_fallbacks : []).forEach(entry => {
+                    const config = serviceConfigs.transcription[String(entry).split(":")[0]];
+                    if (config && props[config.prop]) {
+                        props[config.prop].hidden = false;
+                        props[config.prop].disabled = false;
+                    }
+                });
+
+                props.transcription_rate_limits = {
+                    type: "object",
+                    label: "Transcription Rate Limits",
+                    description: `Chunks are sent to each transcription service within its rate limits, and requests that are rejected with a "too many requests" error wait for the time the service asks for before retrying. The defaults suit each service's entry-level plan, so if you're on a higher tier you can raise them here.
+
+Use the service as the key (\`groqcloud\`, \`openai\`, \`deepgram\`, \`elevenlabs\`, \`google_gemini\`, \`assemblyai\`, or \`custom\`), and any of these settings as the value, separated by commas:
+
+- \`concurrency\` – requests sent at the same time
+- \`rpm\` – requests per minute
+- \`audio_per_hour\` – seconds of audio per hour (Groq's limit is 7200 on its free plan)
+
+Example: key \`groqcloud\` → value \`rpm=300, audio_per_hour=28800\`. Set a limit to 0 to remove it. Limits cover the whole run, retries included, so multichannel and batch runs stay within them too. Time spent waiting and the number of retries are listed in this step's metadata.`,
+                    optional: true,
+                };
+
                 props.chunk_size = {
                     type: "integer",
                     label: "Audio File Chunk Size",
@@ -333,6 +446,28 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     optional: true,
                 };
 
+                if (["deepgram", "assemblyai"].includes(this.transcription_service)) {
+                    props.callback_mode = {
+                        type: "boolean",
+                        label: "Wait for Callback",
+                        description: `When enabled, this step will upload your file to ${this.transcription_service === "deepgram" ? "Deepgram" : "AssemblyAI"}, then pause until the transcript is ready instead of waiting for it. The service sends the transcript to Pipedream when it's done, and this step picks up where it left off. This keeps very long recordings from using up your workflow's execution time while they're transcribed.\n\nThis only works when **Disable Chunking** is enabled and no **Transcription Fallbacks** are set. Pausing and resuming uses at least one extra Pipedream credit, so it's best for files that take more than a minute or two to transcribe.`,
+                        default: false,
+                        optional: true,
+                    };
+                } else if (props.callback_mode) {
+                    props.callback_mode.hidden = true;
+                    props.callback_mode.disabled = true;
+                }
+
+                props.multichannel = {
+                    type: "boolean",
+                    label: "Multichannel Transcription",
+                    description: `When enabled, each audio channel of a stereo (or multi-channel) recording is transcribed on its own and treated as a separate speaker. This is ideal for call recordings where each person is on their own channel, since it's far more accurate than guessing who is speaking from a single mixed track. The channels are then interleaved by timestamp into one speaker-labeled transcript, so you can name them with **Speaker Names** (e.g. key \`0\` → \`Agent\`, key \`1\` → \`Customer\`).\n\nDeepgram transcribes all channels in one request. Other services transcribe each channel separately, which multiplies transcription cost by the number of channels. Mono files are transcribed normally.`,
+                    default: false,
+                    optional: true,
+                    reloadProps: true,
+                };
+
                 props.keep_file = {
                     type: "boolean",
                     label: "Keep File",
@@ -341,6 +476,150 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     optional: true,
                 };
 
+                props.caption_style = {
+                    type: "string",
+                    label: "Caption Style",
+                    description: `Sets how the captions in \`other_data.captions\` are split into cues. Each transcription service splits its timestamps differently (Deepgram returns caption-sized cues, while AssemblyAI and Whisper return long segments), so by default the captions are rebuilt from word timings to the same standard regardless of the service you use.\n\n- **Broadcast** follows common broadcast and streaming guidelines: up to 2 lines of 42 characters, a reading speed of up to 17 characters per second, and 1 to 7 seconds on screen. Cues end at sentence or clause boundaries where possible.\n- **Single Line** shows up to 32 characters at a time, which suits vertical video.\n- **Transcription Service** keeps the cues exactly as the transcription service returned them.\n\nServices that don't return word timestamps have their segments split into words evenly, which is slightly less precise.`,
+                    options: [
+                        { label: "Broadcast", value: "broadcast" },
+                        { label: "Single Line", value: "single_line" },
+                        { label: "Transcription Service", value: "provider" },
+                    ],
+                    default: "broadcast",
+                    optional: true,
+                };
+
+                props.save_caption_files = {
+                    type: "boolean",
+                    label: "Save Caption Files",
+                    description: `When enabled, the timed transcript is also saved to a folder in /tmp/ for this run as SRT, WebVTT, timestamped text, and JSON files named after the audio file (e.g. \`/tmp/captions-<event id>/my-meeting.srt\`), so a later step can upload them to YouTube, an LMS, or cloud storage. The file paths are returned in \`other_data.captions.files\`.\n\nThe caption text itself is always returned in \`other_data.captions\` when the transcription service provides timestamps.`,
+                    default: false,
+                    optional: true,
+                };
+
+                props.silence_aware_chunking = {
+                    type: "boolean",
+                    label: "Silence-Aware Chunking",
+                    description: `When enabled, this step will scan your audio for pauses before chunking it, then end each chunk at the pause closest to (but not past) the normal chunk length. This keeps words from being cut in half at chunk edges, which can cause garbled text where chunks are joined.\n\nScanning adds a few seconds of processing for every hour of audio. If no pause is found near a boundary, the chunk is cut at the normal length.`,
+                    default: false,
+                    optional: true,
+                };
+
+                props.chunk_overlap = {
+                    type: "integer",
+                    label: "Chunk Overlap (Seconds)",
+                    description: `When set, each chunk will start a few seconds before the previous chunk ends, so words spoken right at a chunk boundary are heard in full by at least one chunk. The repeated words are removed when the chunks are joined back together.
+
+A value of 2-5 seconds works well for most audio. Set to 0 (the default) to disable overlap. Maximum is 10 seconds.`,
+                    min: 0,
+                    max: 10,
+                    default: 0,
+                    optional: true,
+                };
+
+                props.trim_silence = {
+                    type: "boolean",
+                    label: "Trim Silences",
+                    description: `When enabled, long pauses are removed from your audio before it's sent to the transcription service. Since most services charge by the minute, this can noticeably lower the cost of voice memos and other recordings with a lot of dead air.\n\nA short bit of each pause is kept so words aren't clipped, and all timestamps are mapped back to the original recording. The minutes saved are listed in this step's metadata.`,
+                    default: false,
+                    optional: true,
+                    reloadProps: true,
+                };
+
+                if (this.trim_silence === true) {
+                    props.trim_silence_min_duration = {
+                        type: "integer",
+                        label: "Minimum Silence to Trim (Seconds)",
+                        description: `Only pauses at least this long are trimmed. Defaults to 2 seconds. Lower values save more, but may remove pauses that separate sentences.`,
+                        min: 1,
+                        max: 30,
+                        default: 2,
+                        optional: true,
+                    };
+                } else if (props.trim_silence_min_duration) {
+                    props.trim_silence_min_duration.hidden = true;
+                    props.trim_silence_min_duration.disabled = true;
+                }
+
+                props.playback_speed = {
+                    type: "string",
+                    label: "Speed Up Audio",
+                    description: `Speeds up your audio before it's sent to the transcription service. Since most services charge by the minute, 1.5x cuts the billed duration by a third. Pitch is not changed, and all timestamps are scaled back to real time.\n\nClear, well-paced speech usually transcribes fine at up to 1.5x. Faster speeds can lower accuracy, especially with fast talkers or several speakers. Both the original and the processed duration are included in this step's property values.`,
+                    options: ["1", "1.25", "1.5", "1.75", "2"],
+                    default: "1",
+                    optional: true,
+                };
+
+                props.cache_backend = {
+                    type: "string",
+                    label: "Cache Storage",
+                    description: `When set, this step will save each chunk's transcript and reuse it when the same audio is transcribed again with the same service, model, language, and prompt settings. This is useful if you re-run a workflow on the same file – for example, to try a different summary model, or after the Notion step fails – since you won't pay for transcription twice.
+
+- **None** (default) disables the cache.
+- **Temporary Storage** saves transcripts in /tmp/. This is free, but Pipedream clears /tmp/ regularly, so it mostly helps with quick re-runs.
+- **Pipedream Data Store** saves transcripts in a [Data Store](https://pipedream.com/docs/workflows/data-management/data-stores/) you choose below. Entries expire after 30 days.
+- **Local File** saves transcripts in a single JSON file at the path you provide below. This is mainly useful for testing.
+
+Cache hits and misses are listed in this step's metadata.`,
+                    options: [
+                        { label: "None", value: "none" },
+                        { label: "Temporary Storage (/tmp/)", value: "tmp" },
+                        { label: "Pipedream Data Store", value: "data_store" },
+                        { label: "Local File", value: "file" },
+                    ],
+                    default: "none",
+                    optional: true,
+                    reloadProps: true,
+                };
+
+                if (this.cache_backend === "data_store") {
+                    props.cache_data_store = {
+                        type: "data_store",
+                        label: "Cache Data Store",
+                        description: `Choose the Data Store to save cached transcripts in.`,
+                    };
+                } else if (props.cache_data_store) {
+                    props.cache_data_store.hidden = true;
+                    props.cache_data_store.disabled = true;
+                }
+
+                if (this.cache_backend === "file") {
+                    props.cache_file_path = {
+                        type: "string",
+                        label: "Cache File Path",
+                        description: `The path to the JSON file to save cached transcripts in. Example: /tmp/transcript-cache.json`,
+                    };
+                } else if (props.cache_file_path) {
+                    props.cache_file_path.hidden = true;
+                    props.cache_file_path.disabled = true;
+                }
+
+                if (this.cache_backend && this.cache_backend !== "none") {
+                    props.enable_checkpoints = {
+                        type: "boolean",
+                        label: "Resume From Checkpoints",
+                        description: `When enabled, this step saves its progress to your **Cache Storage** after each stage (chunking, transcription, transcript combination, cleanup, summary, custom prompt, and translation). If the step times out or fails part-way through, re-running it on the same file will pick up after the last completed stage instead of starting over.\n\nCheckpoints are only reused if this step's settings haven't changed. Long transcripts can exceed the size limit of a Pipedream Data Store record; if a checkpoint can't be saved, the step keeps going without it.`,
+                        default: false,
+                        optional: true,
+                        reloadProps: true,
+                    };
+                } else if (props.enable_checkpoints) {
+                    props.enable_checkpoints.hidden = true;
+                    props.enable_checkpoints.disabled = true;
+                }
+
+                if (this.cache_backend && this.cache_backend !== "none" && this.enable_checkpoints === true) {
+                    props.run_key = {
+                        type: "string",
+                        label: "Run Key",
+                        description: `The key used to find this run's checkpoint. Runs with the same key resume from each other's progress. Defaults to the ID of the trigger event, which is the same each time you replay or re-test the same file.`,
+                        optional: true,
+                    };
+                } else if (props.run_key) {
+                    props.run_key.hidden = true;
+                    props.run_key.disabled = true;
+                }
+
                 props.enable_downsampling = {
                     type: "boolean",
                     label: "Enable Audio Downsampling",
@@ -349,6 +628,66 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     optional: true,
                 };
 
+                props.audio_highpass = {
+                    type: "integer",
+                    label: "High-Pass Filter (Hz)",
+                    description: `When set, removes sound below this frequency before transcription. This cuts out low rumble from car engines, air conditioning, and handling noise without affecting speech. 80-120 Hz works well for most recordings. Set to 0 (the default) to disable.
+
+Any audio preprocessing option will downsample your file as described under **Enable Audio Downsampling**.`,
+                    min: 0,
+                    max: 300,
+                    default: 0,
+                    optional: true,
+                };
+
+                props.audio_noise_reduction = {
+                    type: "string",
+                    label: "Noise Reduction",
+                    description: `Reduces steady background noise (traffic, fans, café chatter) before transcription.
+
+- **None** (default) leaves the audio as-is.
+- **Standard** uses ffmpeg's FFT denoiser. It works on any recording and is gentle enough not to garble speech.
+- **Neural (RNNoise)** uses a small neural network that removes more noise, but needs a model file you provide below.
+
+Heavy noise reduction can make quiet speech harder to transcribe, so only enable this for noisy recordings.`,
+                    options: [
+                        { label: "None", value: "none" },
+                        { label: "Standard (afftdn)", value: "afftdn" },
+                        { label: "Neural (arnndn)", value: "arnndn" },
+                    ],
+                    default: "none",
+                    optional: true,
+                    reloadProps: true,
+                };
+
+                if (this.audio_noise_reduction === "arnndn") {
+                    props.audio_rnnoise_model = {
+                        type: "string",
+                        label: "RNNoise Model",
+                        description: `The path (starting with /tmp/) or URL of an RNNoise model file (\`.rnnn\`), such as one from [rnnoise-models](https://github.com/GregorR/rnnoise-models). If the model can't be loaded, Standard noise reduction is used instead.`,
+                        optional: true,
+                    };
+                } else if (props.audio_rnnoise_model) {
+                    props.audio_rnnoise_model.hidden = true;
+                    props.audio_rnnoise_model.disabled = true;
+                }
+
+                props.audio_compression = {
+                    type: "boolean",
+                    label: "Dynamic Range Compression",
+                    description: `When enabled, quiet speech is brought up and loud peaks are brought down before transcription. This helps when one speaker is much farther from the microphone than another.`,
+                    default: false,
+                    optional: true,
+                };
+
+                props.audio_loudnorm = {
+                    type: "boolean",
+                    label: "Loudness Normalization",
+                    description: `When enabled, the recording's overall volume is normalized to a consistent level (EBU R128, -16 LUFS) before transcription. This helps with recordings that are very quiet or clipping.`,
+                    default: false,
+                    optional: true,
+                };
+
                 props.path_to_file = {
                     type: "string",
                     label: "Path to File",
@@ -363,6 +702,27 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     optional: true,
                 };
 
+                props.source_url = {
+                    type: "string",
+                    label: "Source URL",
+                    description: `A direct link to an audio or video file, or the RSS feed of a podcast. When set, this step downloads the file itself, so you don't need a cloud storage trigger or download step. This is handy for podcast episodes and conference recordings.\n\nThe file's type and size are checked before it's downloaded. For podcast feeds, the note's title and link come from the episode.\n\nIf you have a value here, it overrides Path to File and the cloud storage download steps.`,
+                    optional: true,
+                    reloadProps: true,
+                };
+
+                if (this.source_url) {
+                    props.rss_episode = {
+                        type: "string",
+                        label: "Podcast Episode",
+                        description: `If your Source URL is a podcast feed, choose the episode to transcribe. Enter **latest** (the default), an episode number, the episode's GUID or link, or part of its title.\n\nThis setting is ignored when the Source URL links directly to a file.`,
+                        default: "latest",
+                        optional: true,
+                    };
+                } else if (props.rss_episode) {
+                    props.rss_episode.hidden = true;
+                    props.rss_episode.disabled = true;
+                }
+
                 props.debug = {
                     type: "boolean",
                     label: "Enable Debug Mode",
@@ -381,12 +741,35 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 
             } else {
                 const advancedProps = [
+                    'transcription_fallbacks',
+                    'transcription_rate_limits',
                     'chunk_size',
                     'disable_chunking',
+                    'callback_mode',
+                    'multichannel',
+                    'silence_aware_chunking',
+                    'chunk_overlap',
+                    'trim_silence',
+                    'trim_silence_min_duration',
+                    'playback_speed',
+                    'cache_backend',
+                    'cache_data_store',
+                    'cache_file_path',
+                    'enable_checkpoints',
+                    'run_key',
                     'keep_file',
+                    'caption_style',
+                    'save_caption_files',
                     'enable_downsampling',
+                    'audio_highpass',
+                    'audio_noise_reduction',
+                    'audio_rnnoise_model',
+                    'audio_compression',
+                    'audio_loudnorm',
                     'path_to_file',
                     'file_link',
+                    'source_url',
+                    'rss_episode',
                     'debug',
                     'stop_stage'
                 ];
@@ -398,16 +781,21 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 });
             }
 
-            if (
-                this.advanced_options === true && (
-                    this.transcription_model === "slam-1" ||
-                    this.ai_cleanup === true
-                )
-            ) {
+            if (this.advanced_options === true) {
                 props.keyterms = {
                     type: "string[]",
-                    label: "Key Terms",
-                    description: `Enter an array of key terms that the transcription model may need help with.\n\nIf you're using **AssemblyAI** as your transcription service with the **slam-1** model and an English-language audio file, these terms [will be included in the key_terms parameter of the transcription request](https://www.assemblyai.com/docs/speech-to-text/pre-recorded-audio/improving-transcript-accuracy). No other transcription services or models currently support this feature within this workflow.\n\nIf you've enabled **AI Cleanup**, these key terms will be included in the system prompt for the LLM that cleans up the transcript.`,
+                    label: "Custom Vocabulary",
+                    description: `Enter names, jargon, and other terms that the transcription model may need help with, spelled the way they should appear in your transcript (e.g. \`OpenAI\`, \`Kubernetes\`, \`Dr. Okonkwo\`).
+
+Each transcription service gets these terms in the form it supports:
+
+- **Deepgram:** [keyterms](https://developers.deepgram.com/docs/keyterm) for Nova-3 models, or [keywords](https://developers.deepgram.com/docs/keywords) for older models.
+- **AssemblyAI:** [keyterms](https://www.assemblyai.com/docs/speech-to-text/pre-recorded-audio/improving-transcript-accuracy) for the slam-1 model, or word boost for other models.
+- **ElevenLabs:** keyterms, which bias the transcript toward these words (up to 100 terms).
+- **OpenAI, Groq, and custom services:** a glossary at the start of the transcription prompt.
+- **Google Gemini:** instructions in the transcription prompt.
+
+After transcription, near-miss spellings of these terms (e.g. "Open AI" or "Kubernetis") are corrected in the transcript and timestamps. Misspellings are only corrected when they're capitalized like a name, so ordinary words such as "markets" are never changed to a term like "Marketo". If you've enabled **AI Cleanup**, these terms are also included in the system prompt for the LLM that cleans up the transcript.`,
                     optional: true,
                 };
             } else {
@@ -417,8 +805,64 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 }
             }
 
+            const diarizationServices = ['deepgram', 'assemblyai', 'elevenlabs'];
+
+            // Multichannel runs label each channel as a speaker, whichever service transcribes them
+            if (this.advanced_options === true && (diarizationServices.includes(selectedTranscriptionService) || this.multichannel === true)) {
+                props.speaker_names = {
+                    type: "object",
+                    label: "Speaker Names",
+                    description: `Map the speaker numbers from your transcription service to real names. Use the speaker number as the key and the name as the value.\n\nExample: key \`0\` → value \`Alice\`, key \`1\` → value \`Bob\`\n\nKeys can also be written as \`Speaker 0\`, or as letters (\`A\`, \`B\`) if you're used to AssemblyAI's labels. Names will replace "Speaker N" labels in your transcript, timestamps, and summary.\n\n**Note:** Speakers are numbered in the order they first speak. If your file is split into chunks, each chunk is numbered separately, so the same person may have a different number in different parts of a long recording. Enable **Disable Chunking** to keep speaker numbers consistent.`,
+                    optional: true,
+                };
+
+                if (selectedAiService && selectedAiService !== 'none') {
+                    props.identify_speakers = {
+                        type: "boolean",
+                        label: "Identify Speakers with AI",
+                        description: `When enabled, your chosen **AI Model** will read the start of the transcript and try to work out each speaker's name from context (e.g. "Thanks, Alice"). Names are only used if the model's confidence is high enough.\n\nAny names you set in **Speaker Names** take priority over AI-identified names.`,
+                        default: false,
+                        optional: true,
+                        reloadProps: true,
+                    };
+                } else if (props.identify_speakers) {
+                    props.identify_speakers.hidden = true;
+                    props.identify_speakers.disabled = true;
+                }
+
+                if (this.identify_speakers === true && selectedAiService && selectedAiService !== 'none') {
+                    props.speaker_confidence_threshold = {
+                        type: "string",
+                        label: "Speaker Identification Confidence Threshold",
+                        description: `The minimum confidence (between 0 and 1) the AI model must report before an identified name is used. Defaults to 0.7.`,
+                        default: "0.7",
+                        optional: true,
+                    };
+                } else if (props.speaker_confidence_threshold) {
+                    props.speaker_confidence_threshold.hidden = true;
+                    props.speaker_confidence_threshold.disabled = true;
+                }
+            } else {
+                ['speaker_names', 'identify_speakers', 'speaker_confidence_threshold'].forEach(prop => {
+                    if (props[prop]) {
+                        props[prop].hidden = true;
+                        props[prop].disabled = true;
+                    }
+                });
+            }
+
+            const customAiProps = ['custom_ai_base_url', 'custom_ai_api_key', 'custom_ai_json_mode'];
+            customAiProps.forEach(propName => {
+                if (props[propName]) {
+                    props[propName].hidden = true;
+                    props[propName].disabled = true;
+                }
+            });
+
             if (selectedAiService && selectedAiService !== 'none') {
-                const config = serviceConfigs.ai[selectedAiService];
+                const config = selectedAiService === 'custom'
+                    ? { name: "Custom", custom: true }
+                    : serviceConfigs.ai[selectedAiService];
                 if (config) {
 
                     if (props[config.prop]) {
@@ -426,15 +870,54 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                         props[config.prop].disabled = false;
                     }
 
-                    props.ai_model = {
-                        type: "string",
-                        label: "AI Model",
-                        description: `Select the ${config.name} model you'd like to use for summarization. If you're not sure, **${config.recommended}** is recommended.`,
-                        options: config.models,
-                        hidden: false,
-                        disabled: false,
-                        reloadProps: true
-                    };
+                    if (config.custom) {
+                        props.custom_ai_base_url = {
+                            type: "string",
+                            label: "Custom AI Base URL",
+                            description: `The base URL of your self-hosted LLM server. The server must implement OpenAI's \`/chat/completions\` endpoint, and this workflow will append \`/chat/completions\` to the URL you provide.\n\nIn most cases, the URL should end in \`/v1\`.\n\nExamples:\n\n- **Ollama:** \`http://ollama.internal.example.com:11434/v1\`\n- **vLLM:** \`http://vllm.internal.example.com:8000/v1\`\n- **LM Studio:** \`http://lmstudio.internal.example.com:1234/v1\``,
+                            hidden: false,
+                            disabled: false,
+                        };
+
+                        props.custom_ai_api_key = {
+                            type: "string",
+                            label: "Custom AI API Key",
+                            description: `If your server requires an API key, enter it here. It will be sent as a Bearer token. Leave this blank if your server doesn't require authentication.`,
+                            secret: true,
+                            optional: true,
+                            hidden: false,
+                            disabled: false,
+                        };
+
+                        props.custom_ai_json_mode = {
+                            type: "boolean",
+                            label: "Use JSON Mode",
+                            description: `When enabled, requests will ask your server for a JSON object response (\`response_format: { type: "json_object" }\`). Ollama and vLLM support this.\n\nSet this to **False** if your server rejects the \`response_format\` parameter (some versions of LM Studio do). The workflow will still ask for JSON in its prompts and will attempt to repair malformed responses.`,
+                            default: true,
+                            optional: true,
+                            hidden: false,
+                            disabled: false,
+                        };
+
+                        props.ai_model = {
+                            type: "string",
+                            label: "AI Model",
+                            description: `Enter the name of the model your server should use for summarization, exactly as your server expects it.\n\nExamples: \`llama3.1:8b\`, \`qwen2.5:14b-instruct\`, \`meta-llama/Llama-3.1-8B-Instruct\`\n\n**Note:** Smaller local models may struggle to follow this workflow's JSON instructions. Models with at least 8B parameters and good instruction-following are recommended.`,
+                            hidden: false,
+                            disabled: false,
+                            reloadProps: true
+                        };
+                    } else {
+                        props.ai_model = {
+                            type: "string",
+                            label: "AI Model",
+                            description: `Select the ${config.name} model you'd like to use for summarization. If you're not sure, **${config.recommended}** is recommended.`,
+                            options: config.models,
+                            hidden: false,
+                            disabled: false,
+                            reloadProps: true
+                        };
+                    }
 
                     props.summary_options = {
                         type: "string[]",
@@ -469,7 +952,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 
                     if (this.advanced_options === true) {
                         
-                        if (this.transcription_model?.toLowerCase().includes('whisper') || this.transcription_model?.toLowerCase().includes('gpt-4o-transcribe') || this.transcription_model?.toLowerCase().includes('gpt-4o-mini-transcribe') || this.transcription_model?.toLowerCase().includes('gemini')) {
+                        if (this.transcription_service === 'custom' || this.transcription_model?.toLowerCase().includes('whisper') || this.transcription_model?.toLowerCase().includes('gpt-4o-transcribe') || this.transcription_model?.toLowerCase().includes('gpt-4o-mini-transcribe') || this.transcription_model?.toLowerCase().includes('gemini')) {
                             
                             props.whisper_prompt = {
                                 type: "string",
@@ -567,6 +1050,42 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                                 description: `If you'd like to use a custom AI model, you can enter the model name here. This will override the default model for the AI service you've chosen.\n\nThis feature is experimental. You must provide the model name exactly as it appears in the AI service's API documentation. This feature will only work for models provided by your chosen AI Service.\n\nExample: 'gemini-2.5-flash-preview-04-17' (no quotes).\n\nYou'll still need to select a default AI Model above as well.`,
                                 optional: true,
                             }
+
+                            const aiFallbackOptions = [];
+                            Object.entries(serviceConfigs.ai).forEach(([service, serviceConfig]) => {
+                                serviceConfig.models.forEach(model => {
+                                    if (service === selectedAiService && model === this.ai_model) return;
+                                    aiFallbackOptions.push({
+                                        label: `${serviceConfig.name} (${model})`,
+                                        value: model === serviceConfig.recommended ? service : `${service}:${model}`
+                                    });
+                                });
+                            });
+
+                            props.ai_fallbacks = {
+                                type: "string[]",
+                                label: "AI Fallbacks",
+                                description: `Optionally set an ordered list of backup AI services. If a request still fails after all retries with your main **AI Service**, it will be sent to the first service in this list, then the next, and so on. This applies to summaries, titles, custom prompts, AI cleanup, translation, and language detection.\n\nEach entry can be a service (e.g. \`anthropic\`), which uses that service's recommended model, or a service and model separated by a colon (e.g. \`openai:gpt-4.1-mini\`).\n\nYou'll need to connect an account for each service you add here. The apps will appear below once you've selected them. Custom / Self-hosted servers can't be used as fallbacks.`,
+                                options: aiFallbackOptions,
+                                optional: true,
+                                reloadProps: true,
+                            };
+
+                            (Array.isArray(this.ai_fallbacks) ? this.ai_fallbacks : []).forEach(entry => {
+                                const fallbackConfig = serviceConfigs.ai[String(entry).split(":")[0]];
+                                if (fallbackConfig && props[fallbackConfig.prop]) {
+                                    props[fallbackConfig.prop].hidden = false;
+                                    props[fallbackConfig.prop].disabled = false;
+                                }
+                            });
+
+                            props.ai_strict_mode = {
+                                type: "boolean",
+                                label: "Strict AI Mode",
+                                description: `By default, if every AI service fails for part of your transcript, this step leaves that section out of the summary and keeps going, so you still get your transcript. Skipped sections are listed in other_data.metadata.ai_failures and noted in the step summary.\n\nSet this to **True** to make the step fail instead. Use this if you'd rather re-run the workflow than end up with an incomplete summary.`,
+                                default: false,
+                                optional: true,
+                            };
                         } else {
 
                             if (props.translation_language) {
@@ -598,6 +1117,16 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                                 props.ai_custom_model.hidden = true;
                                 props.ai_custom_model.disabled = true;
                             }
+
+                            if (props.ai_fallbacks) {
+                                props.ai_fallbacks.hidden = true;
+                                props.ai_fallbacks.disabled = true;
+                            }
+
+                            if (props.ai_strict_mode) {
+                                props.ai_strict_mode.hidden = true;
+                                props.ai_strict_mode.disabled = true;
+                            }
                         }
                     } else {
                         const advancedProps = [
@@ -610,11 +1139,35 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                             'verbosity',
                             'ai_temperature',
                             'ai_custom_model',
+                            'ai_fallbacks',
+                            'ai_strict_mode',
                             'chunk_size',
                             'disable_chunking',
+                            'callback_mode',
+                            'transcription_rate_limits',
+                            'multichannel',
+                            'silence_aware_chunking',
+                            'chunk_overlap',
+                            'trim_silence',
+                            'trim_silence_min_duration',
+                            'playback_speed',
+                            'cache_backend',
+                            'cache_data_store',
+                            'cache_file_path',
+                            'enable_checkpoints',
+                            'run_key',
                             'keep_file',
+                            'caption_style',
+                            'save_caption_files',
                             'enable_downsampling',
+                            'audio_highpass',
+                            'audio_noise_reduction',
+                            'audio_rnnoise_model',
+                            'audio_compression',
+                            'audio_loudnorm',
                             'path_to_file',
+                            'source_url',
+                            'rss_episode',
                             'debug',
                             'stop_stage'
                         ];
@@ -702,17 +1255,24 @@ This step works seamlessly with the **Send to Notion** step you likely see below
         ...transcribe.methods,
         ...textProcessor.methods,
         ...llm.methods,
+        ...store.methods,
+        ...urlDownload.methods,
+        ...errors.methods,
     },
     async run({ steps, $ }) {
 
         this.start_time = Date.now();
         this.timeout_seconds = this.debug === true ? 290 : 10000
 
+        // Errors that end the run put their fix in the step summary (see reportError)
+        this.summaryExport = (summary) => $.export("$summary", summary);
+
 		let stageDurations = {
 			setup: 0,
             chunking: 0,
 			transcription: 0,
 			transcriptCombination: 0,
+            speakers: 0,
             cleanup: 0,
             translation: 0,
 			summary: 0,
@@ -748,7 +1308,12 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             transcription_service: this.transcription_service,
             ai_service: this.ai_service,
             transcription_model: this.transcription_model,
+            custom_transcription_base_url: this.custom_transcription_base_url,
+            transcription_fallbacks: this.transcription_fallbacks,
+            transcription_rate_limits: this.transcription_rate_limits,
             ai_model: this.ai_model,
+            custom_ai_base_url: this.custom_ai_base_url,
+            custom_ai_json_mode: this.custom_ai_json_mode,
             summary_options: this.summary_options,
             custom_prompt: this.custom_prompt,
             advanced_options: this.advanced_options,
@@ -762,12 +1327,36 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             verbosity: this.verbosity,
             ai_temperature: this.ai_temperature,
             ai_custom_model: this.ai_custom_model,
+            speaker_names: this.speaker_names,
+            identify_speakers: this.identify_speakers,
+            speaker_confidence_threshold: this.speaker_confidence_threshold,
+            ai_fallbacks: this.ai_fallbacks,
+            ai_strict_mode: this.ai_strict_mode,
             chunk_size: this.chunk_size,
             disable_chunking: this.disable_chunking,
+            callback_mode: this.callback_mode,
+            multichannel: this.multichannel,
+            silence_aware_chunking: this.silence_aware_chunking,
+            chunk_overlap: this.chunk_overlap,
+            trim_silence: this.trim_silence,
+            trim_silence_min_duration: this.trim_silence_min_duration,
+            playback_speed: this.playback_speed,
+            cache_backend: this.cache_backend,
+            enable_checkpoints: this.enable_checkpoints,
+            run_key: this.run_key,
             keep_file: this.keep_file,
+            caption_style: this.caption_style,
+            save_caption_files: this.save_caption_files,
             enable_downsampling: this.enable_downsampling,
+            audio_highpass: this.audio_highpass,
+            audio_noise_reduction: this.audio_noise_reduction,
+            audio_rnnoise_model: this.audio_rnnoise_model,
+            audio_compression: this.audio_compression,
+            audio_loudnorm: this.audio_loudnorm,
             path_to_file: this.path_to_file,
             file_link: this.file_link,
+            source_url: this.source_url,
+            rss_episode: this.rss_episode,
             debug: this.debug,
             stop_stage: this.stop_stage
         }
@@ -776,39 +1365,44 @@ This step works seamlessly with the **Send to Notion** step you likely see below
         const serviceConfigs = {
             transcription: {
                 openai: {
-                    models: ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"]
+                    models: serviceModels.transcription.openai
                 },
                 deepgram: {
-                    models: ["nova-3", "nova-2", "nova-general"]
+                    models: serviceModels.transcription.deepgram
                 },
                 groqcloud: {
-                    models: ["whisper-large-v3-turbo", "whisper-large-v3"]
+                    models: serviceModels.transcription.groqcloud
                 },
                 google_gemini: {
-                    models: ["gemini-2.0-flash", "gemini-2.0-flash-lite", "gemini-1.5-flash"]
+                    models: serviceModels.transcription.google_gemini
                 },
                 elevenlabs: {
-                    models: ["scribe_v1"]
+                    models: serviceModels.transcription.elevenlabs
                 },
                 assemblyai: {
-                    models: ["best", "slam-1", "nano", "universal"]
+                    models: serviceModels.transcription.assemblyai
                 }
             },
             ai: {
                 openai: {
-                    models: ["gpt-4.1-nano", "gpt-4.1-mini", "gpt-4.1", "gpt-4o-mini", "gpt-4o"]
+                    recommended: "gpt-4.1-nano",
+                    models: serviceModels.ai.openai
                 },
                 anthropic: {
-                    models: ["claude-3-5-haiku-latest", "claude-3-5-sonnet-latest", "claude-sonnet-4-0", "claude-opus-4-0"]
+                    recommended: "claude-3-5-haiku-latest",
+                    models: serviceModels.ai.anthropic
                 },
                 google_gemini: {
-                    models: ["gemini-2.0-flash-lite", "gemini-2.0-flash", "gemini-1.5-flash"]
+                    recommended: "gemini-2.0-flash-lite",
+                    models: serviceModels.ai.google_gemini
                 },
                 groqcloud: {
-                    models: ["llama-3.1-8b-instant", "llama-3.3-70b-versatile", "meta-llama/llama-4-scout-17b-16e-instruct", "openai/gpt-oss-120b", "openai/gpt-oss-20b"]
+                    recommended: "meta-llama/llama-4-scout-17b-16e-instruct",
+                    models: serviceModels.ai.groqcloud
                 },
                 cerebras: {
-                    models: ["llama-4-scout-17b-16e-instruct", "llama3.1-8b", "llama-3.3-70b"]
+                    recommended: "llama-4-scout-17b-16e-instruct",
+                    models: serviceModels.ai.cerebras
                 }
             }
         };
@@ -827,7 +1421,8 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 ".aiff", ".mpeg3", ".opus", 
                 ".mp4", ".avi", ".mkv", ".mov", ".wmv", ".flv", ".3gp"
             ],
-            assemblyai: [".mp4"]
+            assemblyai: [".mp4"],
+            custom: [".mp4", ".mpeg", ".mpga"]
         };
 
         this.supportedMimes = [...commonMimes];
@@ -839,7 +1434,15 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             ];
         }
 
-        if (this.transcription_service && this.transcription_service !== 'none') {
+        if (this.transcription_service === 'custom') {
+            if (!this.custom_transcription_base_url || !/^https?:\/\//.test(this.custom_transcription_base_url)) {
+                throw new Error(`Custom transcription service requires a valid base URL starting with http:// or https://. Please set the Custom Transcription Base URL property and try again.`);
+            }
+
+            if (!this.transcription_model || this.transcription_model.trim() === "") {
+                throw new Error(`Custom transcription service requires a model name. Please set the Speech-to-Text Model property and try again.`);
+            }
+        } else if (this.transcription_service && this.transcription_service !== 'none') {
             const serviceProp = this[this.transcription_service];
             if (!serviceProp) {
                 throw new Error(`Transcription service ${this.transcription_service} is not properly configured. Please check your API key and try again.`);
@@ -854,7 +1457,55 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             }
         }
 
-        if (this.ai_service && this.ai_service !== 'none') {
+        this.transcription_chain = [{ service: this.transcription_service, model: this.transcription_model }];
+
+        if (Array.isArray(this.transcription_fallbacks)) {
+            for (const entry of this.transcription_fallbacks) {
+                const [service, ...modelParts] = String(entry).trim().split(":");
+                const availableModels = serviceConfigs.transcription[service]?.models;
+
+                if (!availableModels) {
+                    throw new Error(`Invalid transcription fallback "${entry}". Fallbacks must be one of: ${Object.keys(serviceConfigs.transcription).join(', ')}, optionally followed by a colon and a model name.`);
+                }
+
+                const model = modelParts.join(":") || availableModels[0];
+                if (!availableModels.includes(model)) {
+                    throw new Error(
+                        `Invalid transcription model "${model}" in fallback "${entry}". ` +
+                        `Available models are: ${availableModels.join(', ')}`
+                    );
+                }
+
+                if (!this[service]) {
+                    throw new Error(`Transcription fallback ${service} is not properly configured. Please connect an account for it in this step's setup and try again.`);
+                }
+
+                if (!this.transcription_chain.some(link => link.service === service && link.model === model)) {
+                    this.transcription_chain.push({ service, model });
+                }
+            }
+
+            if (this.transcription_chain.length > 1) {
+                console.log(`Transcription provider chain: ${this.transcription_chain.map(link => `${link.service} (${link.model})`).join(' → ')}`);
+
+                // Only keep formats every provider in the chain accepts; anything else gets converted to M4A
+                this.supportedMimes = this.supportedMimes.filter(mime =>
+                    this.transcription_chain.every(({ service }) =>
+                        commonMimes.includes(mime) || (serviceSpecificMimes[service] || []).includes(mime)
+                    )
+                );
+            }
+        }
+
+        if (this.ai_service === 'custom') {
+            if (!this.custom_ai_base_url || !/^https?:\/\//.test(this.custom_ai_base_url)) {
+                throw new Error(`Custom AI service requires a valid base URL starting with http:// or https://. Please set the Custom AI Base URL property and try again.`);
+            }
+
+            if (!this.ai_model || this.ai_model.trim() === "") {
+                throw new Error(`Custom AI service requires a model name. Please set the AI Model property and try again.`);
+            }
+        } else if (this.ai_service && this.ai_service !== 'none') {
             const serviceProp = this[this.ai_service];
             if (!serviceProp) {
                 throw new Error(`AI service ${this.ai_service} is not properly configured. Please check your API key and try again.`);
@@ -874,6 +1525,39 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             this.ai_model = this.ai_custom_model;
         }
 
+        this.ai_chain = [{ service: this.ai_service, model: this.ai_model }];
+
+        if (this.ai_service && this.ai_service !== 'none' && Array.isArray(this.ai_fallbacks)) {
+            for (const entry of this.ai_fallbacks) {
+                const [service, ...modelParts] = String(entry).trim().split(":");
+                const availableModels = serviceConfigs.ai[service]?.models;
+
+                if (!availableModels) {
+                    throw new Error(`Invalid AI fallback "${entry}". Fallbacks must be one of: ${Object.keys(serviceConfigs.ai).join(', ')}, optionally followed by a colon and a model name.`);
+                }
+
+                const model = modelParts.join(":") || serviceConfigs.ai[service].recommended;
+                if (!availableModels.includes(model)) {
+                    throw new Error(
+                        `Invalid AI model "${model}" in fallback "${entry}". ` +
+                        `Available models are: ${availableModels.join(', ')}`
+                    );
+                }
+
+                if (!this[service]) {
+                    throw new Error(`AI fallback ${service} is not properly configured. Please connect an account for it in this step's setup and try again.`);
+                }
+
+                if (!this.ai_chain.some(link => link.service === service && link.model === model)) {
+                    this.ai_chain.push({ service, model });
+                }
+            }
+
+            if (this.ai_chain.length > 1) {
+                console.log(`AI provider chain: ${this.ai_chain.map(link => `${link.service} (${link.model})`).join(' → ')}`);
+            }
+        }
+
         /* -- Setup Stage -- */
         console.log("=== SETUP STAGE ===");
 
@@ -886,34 +1570,67 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 			);
 		}
 
+        // Set when this run was resumed by a transcription callback (see $.flow.rerun in the transcription stage)
+        this.callback_run = $.context?.run?.runs > 1 && $.context.run.context?.callback_mode === true
+            ? $.context.run
+            : null;
+
+        // Resolved now so the file's type and size are checked before it's downloaded. A resumed run reuses the first run's episode.
+        this.url_source = null;
+        if (this.advanced_options === true && this.source_url) {
+            this.url_source = this.callback_run?.context?.url_source
+                ?? await this.resolveUrlSource({ url: this.source_url.trim(), episode: this.rss_episode });
+        }
+
         console.log("Checking that file is within size limits...");
-        this.file_size = this.steps.trigger.event.size;
-		await this.checkSize(this.file_size, true);
+        this.file_size = this.url_source ? this.url_source.size : this.steps.trigger.event.size;
+
+        // A video's audio track is usually a small fraction of the file, so large videos are checked again after extraction
+        const sourceName = this.url_source ? `${this.url_source.file_name}${this.url_source.extension ?? ""}` : this.path_to_file || this.steps.trigger.event.name;
+        if (this.file_size > 700000000 && this.isVideoContainer(sourceName)) {
+            console.log("File is over 700MB, but appears to be a video. The size limit will be applied to its audio track once it's extracted.");
+        } else {
+            await this.checkSize(this.file_size, true);
+        }
+
+        const planUpload = () => {
+            const eventSizeInMB = this.file_size / 1000000;
+            const maxChunkSize = this.chunk_size || 24;
+            const directUploadServices = ['deepgram', 'assemblyai', 'google_gemini', 'elevenlabs'];
+            const DIRECT_UPLOAD_THRESHOLD = 700;
 
+            if (this.transcription_chain.every(({ service }) => directUploadServices.includes(service)) &&
+                eventSizeInMB <= DIRECT_UPLOAD_THRESHOLD &&
+                this.disable_chunking === true
+            ) {
+                console.log(`Direct upload service ${this.transcription_service} is selected, file size is less than the direct upload threshold of ${DIRECT_UPLOAD_THRESHOLD}MB, and disable chunking is true. Uploading directly to transcription service.`);
 
-        const eventSizeInMB = this.file_size / 1000000;
-        const maxChunkSize = this.chunk_size || 24;
-        const directUploadServices = ['deepgram', 'assemblyai', 'google_gemini', 'elevenlabs'];
-        const DIRECT_UPLOAD_THRESHOLD = 700;
+                this.direct_upload = true;
 
-        if (directUploadServices.includes(this.transcription_service) &&
-            eventSizeInMB <= DIRECT_UPLOAD_THRESHOLD &&
-            this.disable_chunking === true
-        ) {
-            console.log(`Direct upload service ${this.transcription_service} is selected, file size is less than the direct upload threshold of ${DIRECT_UPLOAD_THRESHOLD}MB, and disable chunking is true. Uploading directly to transcription service.`);
+            } else if (eventSizeInMB <= maxChunkSize) {
+                console.log(`File size is less than the max chunk size. Uploading directly to transcription service ${this.transcription_service}.`);
+                this.direct_upload = true;
+            } else {
+                console.log(`File size is greater than the max chunk size. Chunking file for transcription...`);
+                if (!this.chunk_size) {
+                    this.chunk_size = 10;
+                }
+                this.direct_upload = false;
+            }
 
-            this.direct_upload = true;
+            this.use_callback = false;
 
-        } else if (eventSizeInMB <= maxChunkSize) {
-            console.log(`File size is less than the max chunk size. Uploading directly to transcription service ${this.transcription_service}.`);
-            this.direct_upload = true;
-        } else {
-            console.log(`File size is greater than the max chunk size. Chunking file for transcription...`);
-            if (!this.chunk_size) {
-                this.chunk_size = 10;
+            if (this.advanced_options === true && this.callback_mode === true && !this.callback_run) {
+                if (this.direct_upload === true && this.transcription_chain.length === 1 && ['deepgram', 'assemblyai'].includes(this.transcription_service)) {
+                    console.log(`Callback mode is enabled. This step will pause after submitting the file to ${this.transcription_service}.`);
+                    this.use_callback = true;
+                } else {
+                    console.log(`Callback mode needs Deepgram or AssemblyAI with no transcription fallbacks, and a file that isn't chunked. Transcribing normally instead.`);
+                }
             }
-            this.direct_upload = false;
-        }
+        };
+
+        planUpload();
 
         const fileInfo = {};
 
@@ -936,11 +1653,50 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 
         console.log("=== DOWNLOAD STAGE ===");
 
-        if (this.path_to_file && this.path_to_file !== "") {
-            console.log("User has set a custom file path for the audio file. Using that path instead of the default behavior.");
+        if (this.url_source) {
+            const source = this.url_source;
+            console.log(`User has set a Source URL. Using ${source.type === "rss" ? "the podcast episode" : "the file"} at ${source.url}.`);
+
+            fileInfo.metadata.cloud_app = source.type === "rss" ? "Podcast RSS" : "URL";
+            fileInfo.file_name = source.file_name;
+            fileInfo.link = this.file_link || source.link;
+            fileInfo.metadata.mime = source.extension;
+            fileInfo.metadata.source = {
+                type: source.type,
+                url: source.url,
+                content_type: source.content_type,
+                ...(source.feed && { feed: source.feed }),
+            };
 
-            if (!/^\/tmp\/.+/.test(this.path_to_file)) {
-                throw new Error("Invalid custom file path. You have a value set in the Path to File property; please ensure the path starts with /tmp/ and includes the file name. Example: /tmp/my-audio-file.mp3");
+            // The provider already has the audio on a resumed run, so it isn't downloaded again
+            if (this.callback_run) {
+                fileInfo.metadata.path = this.getUrlSourcePath(source);
+            } else {
+                const download = await this.downloadUrlToTmp(source);
+                fileInfo.metadata.path = download.path;
+
+                // Set from the download's headers if the URL alone didn't say what the file is
+                source.extension = download.extension;
+                fileInfo.metadata.mime = download.extension;
+
+                // The server may not have reported a size up front
+                if (download.size !== this.file_size) {
+                    this.file_size = download.size;
+                    if (!this.isVideoContainer(fileInfo.metadata.path)) {
+                        await this.checkSize(this.file_size, true);
+                    }
+                    planUpload();
+                }
+            }
+
+            if (this.supportedMimes.includes(fileInfo.metadata.mime) === false) {
+                console.warn("Unsupported file type. File will be downsampled and converted to m4a before being processed.");
+            }
+        } else if (this.path_to_file && this.path_to_file !== "") {
+            console.log("User has set a custom file path for the audio file. Using that path instead of the default behavior.");
+
+            if (!/^\/tmp\/.+/.test(this.path_to_file)) {
+                throw new Error("Invalid custom file path. You have a value set in the Path to File property; please ensure the path starts with /tmp/ and includes the file name. Example: /tmp/my-audio-file.mp3");
             }
 
             fileInfo.metadata.cloud_app = "Custom";
@@ -1049,9 +1805,40 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 		this.fileName = fileInfo.file_name;
 		this.fileLink = fileInfo.link;
 
-        await this.checkFileExists(this.filePath);
+        if (this.callback_run) {
+            // The provider already has the audio, so the file doesn't need to still be in /tmp/
+            fileInfo.metadata.duration = this.callback_run.context.duration;
+            if (this.callback_run.context.video) {
+                fileInfo.metadata.video = this.callback_run.context.video;
+            }
+        } else {
+            await this.checkFileExists(this.filePath);
+
+            if (this.isVideoContainer(fileInfo.metadata.path)) {
+                const video = await this.probeVideo(fileInfo.metadata.path);
+
+                if (video) {
+                    console.log(`File is a ${video.width}x${video.height} ${video.video_codec} video. Extracting its audio track...`);
+
+                    const extracted = await this.extractAudio({ file: fileInfo.metadata.path });
+
+                    fileInfo.metadata.video = {
+                        path: fileInfo.metadata.path,
+                        mime: fileInfo.metadata.mime,
+                        ...video,
+                    };
+                    fileInfo.metadata.path = extracted.path;
+                    fileInfo.metadata.mime = ".m4a";
+
+                    this.file_size = extracted.size;
+                    await this.checkSize(this.file_size, true);
+                    planUpload();
+                }
+            }
+
+            fileInfo.metadata.duration = await this.getDuration(fileInfo.metadata.path);
+        }
 
-		fileInfo.metadata.duration = await this.getDuration(fileInfo.metadata.path);
         fileInfo.metadata.duration_formatted = this.formatDuration(fileInfo.metadata.duration);
 
         this.duration = fileInfo.metadata.duration;
@@ -1071,48 +1858,212 @@ This step works seamlessly with the **Send to Notion** step you likely see below
         );
         previousTime = process.hrtime.bigint();
 
+        /* -- Checkpoint Setup -- */
+
+        const checkpointStages = ["chunking", "transcription", "combination", "cleanup", "summary", "custom_prompt", "translation"];
+        let resumeIndex = -1;
+        let chunkFiles;
+
+        if (this.advanced_options === true && this.enable_checkpoints === true && this.getStore()) {
+            // Settings that don't change the output shouldn't invalidate a checkpoint
+            const { stop_stage, debug, keep_file, file_link, run_key, ...checkpointSettings } = logSettings;
+
+            this.checkpoint = {
+                runKey: this.run_key || fileID,
+                fingerprint: this.getSettingsFingerprint(checkpointSettings),
+            };
+
+            const savedCheckpoint = await this.loadCheckpoint(this.checkpoint);
+
+            if (savedCheckpoint) {
+                Object.assign(fileInfo, savedCheckpoint.fileInfo);
+                chunkFiles = savedCheckpoint.state.chunkFiles;
+                this.chunkDir = savedCheckpoint.state.chunkDir ?? this.chunkDir;
+                this.speakerNames = savedCheckpoint.state.speakerNames;
+                this.workflow_language = savedCheckpoint.state.workflow_language;
+                resumeIndex = checkpointStages.indexOf(savedCheckpoint.stage);
+
+                // Chunks live in /tmp/, which may have been cleared since the checkpoint was saved
+                if (savedCheckpoint.stage === "chunking" && !this.chunkFilesExist(chunkFiles)) {
+                    console.log("Chunk files from the checkpoint no longer exist. Chunking the file again.");
+                    resumeIndex = -1;
+                } else {
+                    console.log(`Resuming after the ${savedCheckpoint.stage} stage. Earlier stages will be skipped.`);
+                }
+            }
+        }
+
+        if (this.callback_run && resumeIndex < checkpointStages.indexOf("chunking")) {
+            chunkFiles = this.callback_run.context.chunkFiles;
+            resumeIndex = checkpointStages.indexOf("chunking");
+        }
+
+        const stageComplete = (stage) => checkpointStages.indexOf(stage) <= resumeIndex;
+
+        const saveCheckpoint = async (stage) => {
+            // Skipped stages keep the checkpoint they were restored from
+            if (!this.checkpoint || stageComplete(stage)) return;
+
+            await this.saveCheckpoint({
+                ...this.checkpoint,
+                stage,
+                fileInfo,
+                state: {
+                    chunkFiles,
+                    chunkDir: this.chunkDir,
+                    speakerNames: this.speakerNames,
+                    workflow_language: this.workflow_language,
+                },
+            });
+        };
+
         /* -- Chunking/Conversion Stage -- */
 
-        console.log("=== CHUNKING/CONVERSION STAGE ===");
+        if (!stageComplete("chunking")) {
+            console.log("=== CHUNKING/CONVERSION STAGE ===");
+
+            let fileToProcess = fileInfo.metadata.path;
+
+            const preprocessing = await this.getPreprocessingFilters();
+            if (preprocessing.graph || preprocessing.skipped.length > 0) {
+                fileInfo.metadata.preprocessing = {
+                    filter_graph: preprocessing.graph,
+                    filters: preprocessing.applied,
+                    skipped: preprocessing.skipped,
+                };
+            }
+
+            let timeMap = null;
+            if (this.advanced_options === true && this.trim_silence === true) {
+                console.log("Silence trimming enabled. Looking for long pauses...");
+
+                const trimmed = await this.trimSilences({
+                    file: fileInfo.metadata.path,
+                    duration: fileInfo.metadata.duration,
+                    minSilence: this.trim_silence_min_duration || 2,
+                });
+
+                if (trimmed) {
+                    fileToProcess = trimmed.path;
+                    timeMap = trimmed.timeMap;
+
+                    // Chunk lengths are estimated from the duration, which is now shorter
+                    this.duration = trimmed.duration;
+
+                    fileInfo.metadata.silence_trimming = {
+                        original_duration: fileInfo.metadata.duration,
+                        trimmed_duration: Math.round(trimmed.duration * 1000) / 1000,
+                        removed_seconds: Math.round(trimmed.removed * 1000) / 1000,
+                        minutes_saved: Math.round((trimmed.removed / 60) * 100) / 100,
+                        segments: timeMap.length,
+                    };
+
+                    console.log(`Removed ${fileInfo.metadata.silence_trimming.minutes_saved} minutes of silence. Timestamps will be mapped back to the original recording.`);
+                }
+            }
 
-        let fileToProcess = fileInfo.metadata.path;
+            // Speed-up is part of the filter graph, so it's applied when the file is converted below
+            if (preprocessing.speed !== 1) {
+                const trimmedDuration = fileInfo.metadata.silence_trimming?.trimmed_duration ?? fileInfo.metadata.duration;
+                this.duration = trimmedDuration / preprocessing.speed;
 
-        if ((this.advanced_options && this.enable_downsampling === true) || !this.supportedMimes.includes(fileInfo.metadata.mime)) {
-            if (this.advanced_options && this.enable_downsampling === true) {
-                console.log("Downsampling enabled. Processing audio file...");
+                fileInfo.metadata.speed_up = {
+                    factor: preprocessing.speed,
+                    original_duration: fileInfo.metadata.duration,
+                    processed_duration: Math.round(this.duration * 1000) / 1000,
+                    minutes_saved: Math.round(((trimmedDuration - this.duration) / 60) * 100) / 100,
+                };
+
+                console.log(`Audio will be sped up ${preprocessing.speed}x, saving ${fileInfo.metadata.speed_up.minutes_saved} minutes of billed audio. Timestamps will be scaled back to real time.`);
+            }
+
+            let channelCount = 1;
+            if (this.advanced_options === true && this.multichannel === true) {
+                channelCount = await this.getChannelCount(fileInfo.metadata.path);
+                if (channelCount < 2) {
+                    console.log("Multichannel transcription is enabled, but this file only has one channel. Transcribing normally.");
+                }
+            }
+
+            // Deepgram can transcribe every channel in one request; other services get one file per channel
+            const nativeMultichannel = channelCount > 1 && this.transcription_chain.length === 1 && this.transcription_service === "deepgram";
+
+            if (channelCount > 1 && !nativeMultichannel) {
+                console.log(`Multichannel transcription is enabled. Transcribing each of the file's ${channelCount} channels separately...`);
+
+                const channelFiles = await this.splitChannels({ file: fileToProcess, channels: channelCount });
+
+                chunkFiles = { channels: [] };
+                for (const channelFile of channelFiles) {
+                    const channelChunks = this.direct_upload === true
+                        ? {
+                            files: [channelFile.path.replace(/^\/tmp\//, "")],
+                            outputDir: "/tmp",
+                            offsets: [0]
+                        }
+                        : await this.chunkFile({ file: channelFile.path, fileSize: channelFile.size, label: `channel-${channelFile.channel}` });
+
+                    chunkFiles.channels.push({ channel: channelFile.channel, ...channelChunks });
+                }
             } else {
-                console.log("Unsupported file type. File will be downsampled and converted to m4a before being processed.");
+                // A trimmed file has already been converted to M4A
+                const needsConversion = !timeMap && !this.supportedMimes.includes(fileInfo.metadata.mime);
+
+                if ((this.advanced_options && this.enable_downsampling === true) || needsConversion || preprocessing.graph) {
+                    if (this.advanced_options && this.enable_downsampling === true) {
+                        console.log("Downsampling enabled. Processing audio file...");
+                    } else if (preprocessing.graph) {
+                        console.log("Audio preprocessing enabled. Processing audio file...");
+                    } else {
+                        console.log("Unsupported file type. File will be downsampled and converted to m4a before being processed.");
+                    }
+
+                    const downsampledResult = await this.downsampleAudio({ file: fileToProcess, keepChannels: nativeMultichannel });
+                    fileToProcess = downsampledResult.path;
+                    console.log(`Using downsampled file: ${fileToProcess}`);
+                    console.log(`Size reduction: ${downsampledResult.sizeReduction}%`);
+                }
+
+                if (this.direct_upload === true) {
+                    chunkFiles = {
+                        files: [fileToProcess.replace(/^\/tmp\//, "")],
+                        outputDir: "/tmp",
+                        offsets: [0]
+                    }
+                } else {
+                    chunkFiles = await this.chunkFile({ file: fileToProcess });
+                }
+
+                if (nativeMultichannel) {
+                    console.log(`Multichannel transcription is enabled. Deepgram will transcribe the file's ${channelCount} channels separately.`);
+                    chunkFiles.multichannel = true;
+                }
             }
 
-            const downsampledResult = await this.downsampleAudio({ file: fileInfo.metadata.path });
-            fileToProcess = downsampledResult.path;
-            console.log(`Using downsampled file: ${fileToProcess}`);
-            console.log(`Size reduction: ${downsampledResult.sizeReduction}%`);
-        }
-        
-        let chunkFiles;
-        if (this.direct_upload === true) {
-            chunkFiles = {
-                files: [fileToProcess.replace(/^\/tmp\//, "")],
-                outputDir: "/tmp"
+            // Saved with the chunks so checkpoints and callbacks can map timestamps back too
+            if (timeMap) {
+                chunkFiles.time_map = timeMap;
             }
-        } else {
-            chunkFiles = await this.chunkFile({ file: fileToProcess });
+            if (preprocessing.speed !== 1) {
+                chunkFiles.playback_speed = preprocessing.speed;
+            }
+
+            stageDurations.chunking =
+            Number(process.hrtime.bigint() - previousTime) / 1e6;
+            console.log(
+                `Chunking stage duration: ${stageDurations.chunking.toFixed(2)}ms (${
+                    (stageDurations.chunking / 1000).toFixed(3)
+                } seconds)`
+            );
+            console.log(
+                `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
+                    (totalDuration(stageDurations) / 1000).toFixed(3)
+                } seconds)`
+            );
+            previousTime = process.hrtime.bigint();
         }
 
-        stageDurations.chunking =
-        Number(process.hrtime.bigint() - previousTime) / 1e6;
-        console.log(
-            `Chunking stage duration: ${stageDurations.chunking.toFixed(2)}ms (${
-                (stageDurations.chunking / 1000).toFixed(3)
-            } seconds)`
-        );
-        console.log(
-            `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
-                (totalDuration(stageDurations) / 1000).toFixed(3)
-            } seconds)`
-        );
-        previousTime = process.hrtime.bigint();
+        await saveCheckpoint("chunking");
 
         if (this.stop_stage === "chunking" || await this.earlyTermination()) {
             console.log("Stopping workflow at chunking stage.");
@@ -1121,32 +2072,162 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 
         /* -- Transcription Stage -- */
 
-        console.log("=== TRANSCRIPTION STAGE ===");
+        if (!stageComplete("transcription")) {
+            console.log("=== TRANSCRIPTION STAGE ===");
 
-        console.log(`Transcribing file(s): ${chunkFiles.files}`);
+            console.log(`Transcribing file(s): ${chunkFiles.channels
+                ? chunkFiles.channels.flatMap(channel => channel.files)
+                : chunkFiles.files}`);
 
-        fileInfo.chunks = {}
+            fileInfo.chunks = {}
 
-        fileInfo.chunks.transcript_responses = await this.transcribeFiles({
-            files: chunkFiles.files,
-            outputDir: chunkFiles.outputDir,
-        })
+            // Saved with the chunks so resumed runs send the same Deepgram parameters
+            this.use_native_multichannel = chunkFiles.multichannel === true;
+            this.playbackSpeed = chunkFiles.playback_speed ?? 1;
 
-        await this.cleanTmp({cleanChunks: true, keepFile: this.keep_file});
+            if (this.callback_run) {
+                const { service, model } = this.callback_run.context;
 
-		stageDurations.transcription =
-        Number(process.hrtime.bigint() - previousTime) / 1e6;
-        console.log(
-            `Transcription stage duration: ${stageDurations.transcription.toFixed(2)}ms (${
-                (stageDurations.transcription / 1000).toFixed(3)
-            } seconds)`
-        );
-        console.log(
-            `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
-                (totalDuration(stageDurations) / 1000).toFixed(3)
-            } seconds)`
-        );
-        previousTime = process.hrtime.bigint();
+                if (!this.callback_run.callback_request) {
+                    throw new Error(`No callback was received from ${service} before the wait timed out. The transcription job may have failed, or may still be running. Please try again, or disable Wait for Callback in Advanced Options.`);
+                }
+
+                console.log(`Resumed by ${service} callback. Processing transcript...`);
+
+                const result = this.rescaleTranscriptTimes(await this.resumeCallbackTranscription({
+                    service,
+                    model,
+                    callbackRequest: this.callback_run.callback_request,
+                }), this.playbackSpeed);
+
+                fileInfo.chunks.transcript_responses = [{
+                    ...result,
+                    provider: service,
+                    model,
+                    detected_language: this.getProviderLanguage(result),
+                    chunk_offset: 0,
+                    chunk_overlap: 0,
+                }];
+            } else if (chunkFiles.channels) {
+                if (this.use_callback) {
+                    console.log("Wait for Callback can't be used when channels are transcribed separately. Transcribing normally instead.");
+                }
+
+                const cacheStats = { backend: null, hits: [], misses: [] };
+                fileInfo.chunks.transcript_responses = [];
+
+                for (const { channel, files, outputDir, offsets, overlaps } of chunkFiles.channels) {
+                    console.log(`Transcribing channel ${channel}...`);
+
+                    const responses = await this.transcribeFiles({ files, outputDir, offsets, overlaps });
+                    fileInfo.chunks.transcript_responses.push(...responses.map(response => ({ ...response, channel })));
+
+                    if (this.transcriptionCacheStats) {
+                        cacheStats.backend = this.transcriptionCacheStats.backend;
+                        cacheStats.hits.push(...this.transcriptionCacheStats.hits.map(hit => ({ channel, ...hit })));
+                        cacheStats.misses.push(...this.transcriptionCacheStats.misses.map(miss => ({ channel, ...miss })));
+                    }
+                }
+
+                this.transcriptionCacheStats = cacheStats;
+            } else if (this.use_callback) {
+                // Wait up to the length of the recording (at least 30 minutes, at most 24 hours) before giving up
+                const waitMs = Math.min(24 * 60 * 60 * 1000, Math.max(30 * 60 * 1000, (fileInfo.metadata.duration || 0) * 1000));
+
+                const { resume_url } = $.flow.rerun(waitMs, {
+                    callback_mode: true,
+                    service: this.transcription_service,
+                    model: this.transcription_model,
+                    duration: fileInfo.metadata.duration,
+                    video: fileInfo.metadata.video,
+                    url_source: this.url_source,
+                    chunkFiles,
+                }, 1);
+
+                const { job_id } = await this.submitCallbackTranscription({
+                    service: this.transcription_service,
+                    model: this.transcription_model,
+                    file: chunkFiles.files[0],
+                    outputDir: chunkFiles.outputDir,
+                    callbackUrl: resume_url,
+                });
+
+                console.log(`Submitted ${fileInfo.file_name} to ${this.transcription_service} (job ID: ${job_id}). Pausing until the transcript is ready...`);
+
+                $.export("$summary", `Waiting for ${this.transcription_service} to finish transcribing ${fileInfo.file_name}.`);
+
+                return {
+                    status: "awaiting_callback",
+                    service: this.transcription_service,
+                    job_id,
+                };
+            } else {
+                fileInfo.chunks.transcript_responses = await this.transcribeFiles({
+                    files: chunkFiles.files,
+                    outputDir: chunkFiles.outputDir,
+                    offsets: chunkFiles.offsets,
+                    overlaps: chunkFiles.overlaps,
+                })
+            }
+
+            fileInfo.metadata.transcription_providers = fileInfo.chunks.transcript_responses.map((response, index) => ({
+                chunk: index,
+                ...(response.channel !== undefined && { channel: response.channel }),
+                provider: response.provider,
+                model: response.model,
+                ...(response.queue_wait_ms !== undefined && { queue_wait_seconds: Math.round(response.queue_wait_ms / 100) / 10 }),
+                ...(response.retries !== undefined && { retries: response.retries }),
+            }));
+
+            fileInfo.metadata.transcription_rate_limiting = this.getTranscriptionRateStats();
+
+            // Languages the transcription service reported for each chunk, so code-switching recordings are visible
+            fileInfo.metadata.chunk_languages = fileInfo.chunks.transcript_responses.map((response, index) => ({
+                chunk: index,
+                ...(response.channel !== undefined && { channel: response.channel }),
+                start: response.chunk_offset ?? 0,
+                language: response.detected_language?.value ?? null,
+                label: response.detected_language?.label ?? null,
+            }));
+
+            fileInfo.metadata.transcript_language = this.getTranscriptLanguage(fileInfo.chunks.transcript_responses);
+
+            if (fileInfo.metadata.transcript_language) {
+                const { label, value, share } = fileInfo.metadata.transcript_language;
+                console.log(`Transcription service reported ${label} (${value}) for ${Math.round(share * 100)}% of the transcript.`);
+
+                const otherLanguages = [...new Set(fileInfo.metadata.chunk_languages.map(chunk => chunk.language).filter(code => code && code !== value))];
+                if (otherLanguages.length > 0) {
+                    console.log(`Some chunks were reported in other languages: ${otherLanguages.join(", ")}.`);
+                }
+            } else {
+                console.log("Transcription service did not report a language. The AI service will detect it if needed.");
+            }
+
+            if (this.transcriptionCacheStats?.backend) {
+                const { backend, hits, misses } = this.transcriptionCacheStats;
+                console.log(`Transcription cache (${backend}): ${hits.length} hit(s), ${misses.length} miss(es).`);
+                fileInfo.metadata.transcription_cache = this.transcriptionCacheStats;
+            }
+
+            await this.cleanTmp({cleanChunks: true, keepFile: this.keep_file});
+
+    		stageDurations.transcription =
+            Number(process.hrtime.bigint() - previousTime) / 1e6;
+            console.log(
+                `Transcription stage duration: ${stageDurations.transcription.toFixed(2)}ms (${
+                    (stageDurations.transcription / 1000).toFixed(3)
+                } seconds)`
+            );
+            console.log(
+                `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
+                    (totalDuration(stageDurations) / 1000).toFixed(3)
+                } seconds)`
+            );
+            previousTime = process.hrtime.bigint();
+        }
+
+        await saveCheckpoint("transcription");
 
         if (this.stop_stage === "transcription" || await this.earlyTermination()) {
             console.log("Stopping workflow at transcription stage.");
@@ -1155,56 +2236,213 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 
         /* -- Transcript Combination Stage -- */
 
-        console.log("=== TRANSCRIPT COMBINATION STAGE ===");
+        if (!stageComplete("combination")) {
+            console.log("=== TRANSCRIPT COMBINATION STAGE ===");
 
-        this.logMemoryUsage('Start of transcript combination');
+            this.logMemoryUsage('Start of transcript combination');
 
-        console.log("Combining transcript chunks...");
-        fileInfo.full_transcript = await this.combineTranscriptChunks(fileInfo.chunks.transcript_responses)
+            const channelGroups = this.groupByChannel(fileInfo.chunks.transcript_responses);
+            const isMultichannel = channelGroups.length > 1 || fileInfo.chunks.transcript_responses.some(chunk => chunk.channels > 1);
 
-        this.logMemoryUsage('After combining transcript chunks');
+            const timeMap = chunkFiles?.time_map ?? null;
 
-        if (fileInfo.chunks.transcript_responses.every(chunk => chunk.vtt)) {
-            console.log("Combining VTT chunks...");
-            fileInfo.full_vtt = await this.combineVTTChunks(fileInfo.chunks.transcript_responses)
-        }
+            if (channelGroups.length > 1) {
+                console.log(`Interleaving ${channelGroups.length} channels by timestamp...`);
+                fileInfo.utterances = await this.interleaveChannels(channelGroups, timeMap);
+                fileInfo.full_transcript = "";
+                fileInfo.full_vtt = this.generateVTT(fileInfo.utterances, { includeSpeaker: true });
+            } else {
+                console.log("Combining transcript chunks...");
+                fileInfo.full_transcript = await this.combineTranscriptChunks(fileInfo.chunks.transcript_responses)
 
-        this.logMemoryUsage('After combining VTT chunks');
+                this.logMemoryUsage('After combining transcript chunks');
 
-        if (!this.debug) {
-            this.cleanupLargeObjects({object: fileInfo.chunks.transcript_responses, objectName: 'fileInfo.chunks.transcript_responses', debug: this.debug});
-        }
+                if (fileInfo.chunks.transcript_responses.every(chunk => chunk.vtt)) {
+                    console.log("Combining VTT chunks...");
+                    fileInfo.full_vtt = await this.combineVTTChunks(fileInfo.chunks.transcript_responses, timeMap)
+                }
 
-        this.logMemoryUsage('After cleaning transcript responses');
-
-        fileInfo.metadata.paragraphs = {
-            transcript: this.makeParagraphs(fileInfo.full_transcript, 1200),
-            ...(fileInfo.full_vtt && fileInfo.full_vtt.length > 0 && {
-                vtt: fileInfo.full_vtt.split("\n\n").map(segment => {
-                    const lines = segment.split('\n');
-                    while (lines.length && lines[0].trim() === '') lines.shift();
-                    return lines.join('\n').trim();
-                }).filter(segment => segment.length > 0),
-            })
-        };
+                this.logMemoryUsage('After combining VTT chunks');
 
-        this.logMemoryUsage('After creating paragraphs');
+                fileInfo.utterances = this.combineUtterances(fileInfo.chunks.transcript_responses, timeMap);
+            }
 
-        stageDurations.transcriptCombination =
-        Number(process.hrtime.bigint() - previousTime) / 1e6;
-        console.log(
-            `Transcript combination stage duration: ${stageDurations.transcriptCombination.toFixed(2)}ms (${
-                (stageDurations.transcriptCombination / 1000).toFixed(3)
-            } seconds)`
-        );
-        console.log(
-            `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
-                (totalDuration(stageDurations) / 1000).toFixed(3)
-            } seconds)`
-        );
-        previousTime = process.hrtime.bigint();
+            // Each channel is a known speaker, so the transcript is labeled even without Speaker Names
+            let channelParagraphs = isMultichannel && fileInfo.utterances?.length > 0
+                ? this.makeSpeakerParagraphs(fileInfo.utterances, {}, 1200)
+                : null;
+            if (channelParagraphs) {
+                fileInfo.full_transcript = channelParagraphs.join("\n\n");
+            }
+
+            // Fix near-miss spellings the transcription service made of the custom vocabulary
+            const vocabulary = this.getCustomVocabulary();
+            if (vocabulary.length > 0) {
+                const corrected = this.correctVocabulary(fileInfo.full_transcript, vocabulary);
+                fileInfo.full_transcript = corrected.text;
+
+                if (channelParagraphs) {
+                    channelParagraphs = channelParagraphs.map(paragraph => this.correctVocabulary(paragraph, vocabulary).text);
+                }
+
+                if (fileInfo.full_vtt) {
+                    fileInfo.full_vtt = this.correctVocabulary(fileInfo.full_vtt, vocabulary).text;
+                }
+
+                if (fileInfo.utterances) {
+                    fileInfo.utterances = fileInfo.utterances.map(utterance => ({
+                        ...utterance,
+                        text: this.correctVocabulary(utterance.text, vocabulary).text
+                    }));
+                }
+
+                const counts = {};
+                for (const { from, to } of corrected.corrections) {
+                    const key = `${from} -> ${to}`;
+                    counts[key] = counts[key] ?? { from, to, count: 0 };
+                    counts[key].count++;
+                }
+                fileInfo.metadata.vocabulary_corrections = Object.values(counts);
+
+                console.log(`Corrected ${corrected.corrections.length} near-miss spelling(s) of custom vocabulary terms.`);
+            }
+
+            // Chunk seams only make sense within a channel, so each channel's spans are combined on their own
+            const confidenceSpans = channelGroups.length > 1
+                ? channelGroups.flatMap(({ channel, responses }) => (this.combineConfidenceSpans(responses, timeMap) ?? []).map(span => ({ ...span, channel })))
+                : this.combineConfidenceSpans(fileInfo.chunks.transcript_responses, timeMap);
+            if (confidenceSpans?.length > 0) {
+                // Capped at 0.9 so most words aren't exported a second time. Send to Notion's Low-Confidence Threshold goes up to the same value.
+                fileInfo.low_confidence = this.getLowConfidenceSpans(confidenceSpans, 0.9);
+                console.log(`${fileInfo.low_confidence.length} of ${confidenceSpans.length} transcript spans have a confidence below 0.9.`);
+            }
+
+            // Captions are rebuilt from word timings once speaker names are known. Whisper's word timings are in `words`,
+            // while other services' confidence spans are already one per word. Segment-level spans are split up evenly.
+            if (this.getCaptionStyle()) {
+                const getTimedSpans = chunk => chunk?.words?.length > 0 ? chunk.words : chunk?.confidence_spans;
+                const timedSpans = channelGroups.length > 1
+                    ? channelGroups.flatMap(({ responses }) => this.combineChunkSpans(responses, getTimedSpans, timeMap) ?? []).sort((a, b) => a.start - b.start)
+                    : this.combineChunkSpans(fileInfo.chunks.transcript_responses, getTimedSpans, timeMap);
+                const words = this.getCaptionWords(timedSpans?.length > 0 ? timedSpans : this.parseVTTCues(fileInfo.full_vtt), fileInfo.utterances);
+                if (words.length > 0) {
+                    fileInfo.caption_words = words;
+                }
+            }
+
+            if (!this.debug) {
+                this.cleanupLargeObjects({object: fileInfo.chunks.transcript_responses, objectName: 'fileInfo.chunks.transcript_responses', debug: this.debug});
+            }
+
+            this.logMemoryUsage('After cleaning transcript responses');
+
+            fileInfo.metadata.paragraphs = {
+                transcript: channelParagraphs ?? this.makeParagraphs(fileInfo.full_transcript, 1200),
+                ...(fileInfo.full_vtt && fileInfo.full_vtt.length > 0 && {
+                    vtt: fileInfo.full_vtt.split("\n\n").map(segment => {
+                        const lines = segment.split('\n');
+                        while (lines.length && lines[0].trim() === '') lines.shift();
+                        return lines.join('\n').trim();
+                    }).filter(segment => segment.length > 0),
+                })
+            };
+
+            this.logMemoryUsage('After creating paragraphs');
+
+            stageDurations.transcriptCombination =
+            Number(process.hrtime.bigint() - previousTime) / 1e6;
+            console.log(
+                `Transcript combination stage duration: ${stageDurations.transcriptCombination.toFixed(2)}ms (${
+                    (stageDurations.transcriptCombination / 1000).toFixed(3)
+                } seconds)`
+            );
+            console.log(
+                `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
+                    (totalDuration(stageDurations) / 1000).toFixed(3)
+                } seconds)`
+            );
+            previousTime = process.hrtime.bigint();
+
+            const hasSpeakerNames = this.speaker_names && Object.keys(this.speaker_names).length > 0;
+            const shouldIdentifySpeakers = this.identify_speakers === true && this.ai_service && this.ai_service !== "none";
+
+            if (fileInfo.utterances && fileInfo.utterances.length > 0 && (hasSpeakerNames || shouldIdentifySpeakers)) {
+                /* === SPEAKER NAMING STAGE === */
+
+                console.log("=== SPEAKER NAMING STAGE ===");
+
+                const manualNames = hasSpeakerNames ? this.parseSpeakerNames(this.speaker_names) : {};
+                fileInfo.speakers = Object.entries(manualNames).map(([speaker, name]) => ({
+                    speaker: Number(speaker),
+                    name,
+                    source: "manual",
+                    confidence: null
+                }));
+
+                if (shouldIdentifySpeakers) {
+                    const threshold = this.speaker_confidence_threshold !== undefined && this.speaker_confidence_threshold !== ""
+                        ? parseFloat(this.speaker_confidence_threshold)
+                        : 0.7;
+
+                    const identified = await this.identifySpeakers({
+                        service: this.ai_service,
+                        model: this.ai_model,
+                        utterances: fileInfo.utterances,
+                    });
+
+                    for (const entry of identified) {
+                        if (manualNames[entry.speaker] !== undefined) continue;
+
+                        if (entry.confidence >= threshold) {
+                            console.log(`Identified Speaker ${entry.speaker} as ${entry.name} (confidence ${entry.confidence}).`);
+                            fileInfo.speakers.push({ ...entry, source: "ai" });
+                        } else {
+                            console.log(`Skipping AI-identified name ${entry.name} for Speaker ${entry.speaker}; confidence ${entry.confidence} is below the threshold of ${threshold}.`);
+                        }
+                    }
+                }
+
+                const speakerNames = Object.fromEntries(fileInfo.speakers.map(entry => [entry.speaker, entry.name]));
+
+                fileInfo.utterances = fileInfo.utterances.map(utterance => ({
+                    ...utterance,
+                    ...(speakerNames[utterance.speaker] !== undefined && { speaker_name: speakerNames[utterance.speaker] })
+                }));
+
+                // Even if no names were found, a speaker-attributed transcript gives the summary model more to work with
+                fileInfo.metadata.paragraphs.transcript = this.makeSpeakerParagraphs(fileInfo.utterances, speakerNames, 1200);
+                fileInfo.full_transcript = fileInfo.metadata.paragraphs.transcript.join("\n\n");
+
+                if (fileInfo.full_vtt) {
+                    fileInfo.full_vtt = this.applySpeakerNames(fileInfo.full_vtt, speakerNames);
+                }
+
+                if (fileInfo.metadata.paragraphs.vtt) {
+                    fileInfo.metadata.paragraphs.vtt = fileInfo.metadata.paragraphs.vtt.map(segment => this.applySpeakerNames(segment, speakerNames));
+                }
+
+                this.speakerNames = speakerNames;
+
+                console.log(`Applied ${fileInfo.speakers.length} speaker name(s) to the transcript.`);
+
+                stageDurations.speakers = Number(process.hrtime.bigint() - previousTime) / 1e6;
+                console.log(
+                    `Speaker naming stage duration: ${stageDurations.speakers.toFixed(2)}ms (${
+                        (stageDurations.speakers / 1000).toFixed(3)
+                    } seconds)`
+                );
+                console.log(
+                    `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
+                        (totalDuration(stageDurations) / 1000).toFixed(3)
+                    } seconds)`
+                );
+                previousTime = process.hrtime.bigint();
+            }
+        }
 
-        if (this.ai_cleanup === true) {
+        await saveCheckpoint("combination");
+
+        if (this.ai_cleanup === true && !stageComplete("cleanup")) {
             /* === AI CLEANUP STAGE === */
 
             console.log("=== AI CLEANUP STAGE ===");
@@ -1223,12 +2461,17 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                 service: this.ai_service,
                 model: this.ai_model,
                 stringsArray: groupedTranscript,
-                ...(this.keyterms && this.keyterms.length > 0 && { keyterms: this.keyterms })
+                ...(this.getCustomVocabulary().length > 0 && { keyterms: this.getCustomVocabulary() })
             });
 
             if (cleanedTranscript.error) {
                 console.error(`Cleanup failed: ${cleanedTranscript.error_message}. Preserving original transcript.`);
             } else {
+                fileInfo.metadata.ai_providers = {
+                    ...fileInfo.metadata.ai_providers,
+                    cleanup: cleanedTranscript.providers
+                };
+
                 console.log(`Making paragraphs from cleaned transcript...`);
 
                 fileInfo.metadata.paragraphs.transcript = this.makeParagraphs(
@@ -1254,6 +2497,8 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             );
             previousTime = process.hrtime.bigint();
 
+            await saveCheckpoint("cleanup");
+
             if (this.stop_stage === "cleanup" || await this.earlyTermination()) {
                 console.log("Stopping workflow at cleanup stage.");
                 return fileInfo;
@@ -1264,100 +2509,145 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             
             console.log(`Using ${this.ai_service} and model ${this.ai_model} for summarization.`);
 
-            /* -- Summary Stage -- */
-
-            console.log("=== SUMMARY STAGE ===");
+            if (!stageComplete("summary")) {
+                /* -- Summary Stage -- */
 
-            this.logMemoryUsage('Start of summary stage');
+                console.log("=== SUMMARY STAGE ===");
 
-            const maxParagraphs = this.summary_density
-                ? this.summary_density
-                : 5;
+                this.logMemoryUsage('Start of summary stage');
 
-            fileInfo.chunks.summary_chunks = this.splitTranscript(
-                fileInfo.metadata.paragraphs.transcript,
-                maxParagraphs
-            );
+                const maxParagraphs = this.summary_density
+                    ? this.summary_density
+                    : 5;
 
-            this.logMemoryUsage('After splitting transcript');
+                fileInfo.chunks.summary_chunks = this.splitTranscript(
+                    fileInfo.metadata.paragraphs.transcript,
+                    maxParagraphs
+                );
 
-            console.log(`Setting the default language for the workflow...`);
+                this.logMemoryUsage('After splitting transcript');
 
-            if (this.transcription_language && this.transcription_language !== "") {
-                this.workflow_language = this.transcription_language;
-            } else {
-                const detectedLanguage = await this.detectLanguage(
-                    this.ai_service,
-                    this.chat_model,
-                    fileInfo.metadata.paragraphs.transcript[0]
-                );
+                console.log(`Setting the default language for the workflow...`);
 
-                if (detectedLanguage.error) {
-                    console.error(`Language detection failed: ${detectedLanguage.error_message}. Will use the default language.`);
+                if (this.transcription_language && this.transcription_language !== "") {
+                    this.workflow_language = this.transcription_language;
+                } else if (fileInfo.metadata.transcript_language) {
+                    console.log(`Using the language reported by the transcription service: ${fileInfo.metadata.transcript_language.label} (ISO 639-1 code: ${fileInfo.metadata.transcript_language.value}).`);
+                    this.workflow_language = fileInfo.metadata.transcript_language.value;
                 } else {
-                    console.log(`Detected language of the transcript is ${detectedLanguage.label} (ISO 639-1 code: ${detectedLanguage.value}).`);
-                    this.workflow_language = detectedLanguage.value;
+                    const detectedLanguage = await this.detectLanguage(
+                        this.ai_service,
+                        this.ai_model,
+                        fileInfo.metadata.paragraphs.transcript[0]
+                    );
+
+                    if (detectedLanguage.error) {
+                        console.error(`Language detection failed: ${detectedLanguage.error_message}. Will use the default language.`);
+                    } else {
+                        console.log(`Detected language of the transcript is ${detectedLanguage.label} (ISO 639-1 code: ${detectedLanguage.value}).`);
+                        this.workflow_language = detectedLanguage.value;
+                    }
                 }
-            }
 
-            if (this.summary_options === null || this.summary_options.length === 0) {
-                console.log("No summary options selected. Using the first chunk as the title.");
+                if (this.summary_options === null || this.summary_options.length === 0) {
+                    console.log("No summary options selected. Using the first chunk as the title.");
                 
-                const titleArr = [fileInfo.chunks.summary_chunks[0]];
-                fileInfo.chunks.summary_responses = await this.sendToChat({
-                    service: this.ai_service,
-                    model: this.ai_model,
-                    stringsArray: titleArr,
-                });
-            } else {
-                console.log("Summary options selected. Using the selected options.");
+                    const titleArr = [fileInfo.chunks.summary_chunks[0]];
+                    fileInfo.chunks.summary_responses = await this.sendToChat({
+                        service: this.ai_service,
+                        model: this.ai_model,
+                        stringsArray: titleArr,
+                    });
+                } else {
+                    console.log("Summary options selected. Using the selected options.");
                 
-                fileInfo.chunks.summary_responses = await this.sendToChat({
-                    service: this.ai_service,
-                    model: this.ai_model,
-                    stringsArray: fileInfo.chunks.summary_chunks,
-                });
-            }
+                    fileInfo.chunks.summary_responses = await this.sendToChat({
+                        service: this.ai_service,
+                        model: this.ai_model,
+                        stringsArray: fileInfo.chunks.summary_chunks,
+                    });
+                }
 
-            this.logMemoryUsage('After getting summary responses');
+                this.logMemoryUsage('After getting summary responses');
 
-            console.log(`Summary array preview from ${this.ai_service} (${this.ai_model}):`);
-            console.log(JSON.stringify(fileInfo.chunks.summary_responses, null, 2).slice(0, 1000) + "...");
+                console.log(`Summary array preview from ${this.ai_service} (${this.ai_model}):`);
+                console.log(JSON.stringify(fileInfo.chunks.summary_responses, null, 2).slice(0, 1000) + "...");
 
-            fileInfo.metadata.formatted_chat = await this.formatChat(fileInfo.chunks.summary_responses);
+                fileInfo.metadata.ai_providers = {
+                    ...fileInfo.metadata.ai_providers,
+                    summary: fileInfo.chunks.summary_responses.map((response, index) => ({
+                        chunk: index,
+                        provider: response.provider,
+                        model: response.model
+                    }))
+                };
 
-            this.logMemoryUsage('After formatting chat');
+                // formatChat() leaves these chunks out, so they're listed in other_data and $summary instead
+                const summaryFailures = fileInfo.chunks.summary_responses
+                    .map((response, index) => response.failed && {
+                        chunk: index,
+                        provider: response.provider,
+                        model: response.model,
+                        error: response.error_message
+                    })
+                    .filter(Boolean);
+
+                if (summaryFailures.length > 0) {
+                    fileInfo.metadata.ai_failures = {
+                        summary: summaryFailures,
+                        note: `${summaryFailures.length} of ${fileInfo.chunks.summary_responses.length} transcript sections could not be summarized and were left out of the summary.`
+                    };
+                    console.warn(fileInfo.metadata.ai_failures.note);
+                }
 
-            // Clean up the entire chunks object now that we're done with it
-            if (!this.debug) {
-                this.cleanupLargeObjects({object: fileInfo.chunks, objectName: 'fileInfo.chunks', debug: this.debug});
-            }
+                fileInfo.metadata.formatted_chat = await this.formatChat(fileInfo.chunks.summary_responses);
+
+                if (this.speakerNames && Object.keys(this.speakerNames).length > 0) {
+                    // The model may still refer to unnamed labels, e.g. "Speaker 1 will send the deck"
+                    for (const [key, value] of Object.entries(fileInfo.metadata.formatted_chat)) {
+                        if (typeof value === "string") {
+                            fileInfo.metadata.formatted_chat[key] = this.applySpeakerNames(value, this.speakerNames);
+                        } else if (Array.isArray(value)) {
+                            fileInfo.metadata.formatted_chat[key] = value.map(item => this.applySpeakerNames(item, this.speakerNames));
+                        }
+                    }
+                }
 
-            this.logMemoryUsage('After cleaning chunks object');
+                this.logMemoryUsage('After formatting chat');
 
-            if (this.summary_options.includes("Summary")) {
-                fileInfo.metadata.paragraphs.summary = this.makeParagraphs(fileInfo.metadata.formatted_chat.summary, 1200);
+                // Clean up the entire chunks object now that we're done with it
+                if (!this.debug) {
+                    this.cleanupLargeObjects({object: fileInfo.chunks, objectName: 'fileInfo.chunks', debug: this.debug});
+                }
+
+                this.logMemoryUsage('After cleaning chunks object');
+
+                if (this.summary_options.includes("Summary")) {
+                    fileInfo.metadata.paragraphs.summary = this.makeParagraphs(fileInfo.metadata.formatted_chat.summary, 1200);
+                }
+
+                stageDurations.summary = Number(process.hrtime.bigint() - previousTime) / 1e6;
+                console.log(
+                    `Summary stage duration: ${stageDurations.summary.toFixed(2)}ms (${
+                        (stageDurations.summary / 1000).toFixed(3)
+                    } seconds)`
+                );
+                console.log(
+                    `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
+                        (totalDuration(stageDurations) / 1000).toFixed(3)
+                    } seconds)`
+                );
+                previousTime = process.hrtime.bigint();
             }
 
-            stageDurations.summary = Number(process.hrtime.bigint() - previousTime) / 1e6;
-            console.log(
-                `Summary stage duration: ${stageDurations.summary.toFixed(2)}ms (${
-                    (stageDurations.summary / 1000).toFixed(3)
-                } seconds)`
-            );
-            console.log(
-                `Total duration so far: ${totalDuration(stageDurations).toFixed(2)}ms (${
-                    (totalDuration(stageDurations) / 1000).toFixed(3)
-                } seconds)`
-            );
-            previousTime = process.hrtime.bigint();
+            await saveCheckpoint("summary");
 
             if (this.stop_stage === "summary" || await this.earlyTermination()) {
                 console.log("Stopping workflow at summary stage.");
                 return fileInfo;
             }
 
-            if (this.custom_prompt && this.custom_prompt !== "") {
+            if (this.custom_prompt && this.custom_prompt !== "" && !stageComplete("custom_prompt")) {
                 
                 /* === CUSTOM PROMPT STAGE === */
 
@@ -1384,10 +2674,11 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     } seconds)`
                 );
                 previousTime = process.hrtime.bigint();
-                
+
+                await saveCheckpoint("custom_prompt");
             }
 
-            if (this.translation_language && this.translation_language !== "") {
+            if (this.translation_language && this.translation_language !== "" && !stageComplete("translation")) {
                 
                 /* === TRANSLATION STAGE === */
 
@@ -1397,11 +2688,13 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     `User specified ${this.translation_language} for the translation. Checking if the transcript language matches...`
                 );
     
-                const detectedLanguage = await this.detectLanguage(
-                    this.ai_service,
-                    this.chat_model,
-                    fileInfo.metadata.paragraphs.transcript[0]
-                );
+                const detectedLanguage = fileInfo.metadata.transcript_language
+                    ? { label: fileInfo.metadata.transcript_language.label, value: fileInfo.metadata.transcript_language.value }
+                    : await this.detectLanguage(
+                        this.ai_service,
+                        this.ai_model,
+                        fileInfo.metadata.paragraphs.transcript[0]
+                    );
 
                 if (detectedLanguage.error) {
                     console.error(`Language detection failed: ${detectedLanguage.error_message}. Will skip translation.`);
@@ -1424,7 +2717,7 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     
                     const translatedTranscript = await this.translateParagraphs({
                         service: this.ai_service,
-                        model: this.chat_model,
+                        model: this.ai_model,
                         stringsArray: groupedTranscript,
                         languageCode: this.translation_language
                     });
@@ -1432,6 +2725,11 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     if (translatedTranscript.error) {
                         console.error(`Translation failed: ${translatedTranscript.error_message}. Preserving original transcript.`);
                     } else {
+                        fileInfo.metadata.ai_providers = {
+                            ...fileInfo.metadata.ai_providers,
+                            translation: translatedTranscript.providers
+                        };
+
                         console.log(`Making paragraphs from translated transcript...`);
 
                         fileInfo.metadata.paragraphs.translated_transcript = this.makeParagraphs(
@@ -1454,6 +2752,8 @@ This step works seamlessly with the **Send to Notion** step you likely see below
                     );
                     previousTime = process.hrtime.bigint();
 
+                    await saveCheckpoint("translation");
+
                     if (this.stop_stage === "translation" || await this.earlyTermination()) {
                         console.log("Stopping workflow at translation stage.");
                         return fileInfo;
@@ -1502,6 +2802,13 @@ This step works seamlessly with the **Send to Notion** step you likely see below
         fileInfo.property_values.duration = fileInfo.metadata.duration;
         fileInfo.property_values.duration_formatted = fileInfo.metadata.duration_formatted;
 
+        // What the transcription service actually received, after silence trimming and speed-up
+        const processedDuration = fileInfo.metadata.speed_up?.processed_duration
+            ?? fileInfo.metadata.silence_trimming?.trimmed_duration
+            ?? fileInfo.metadata.duration;
+        fileInfo.property_values.processed_duration = processedDuration;
+        fileInfo.property_values.processed_duration_formatted = this.formatDuration(Math.round(processedDuration));
+
         stageDurations.total = totalDuration(stageDurations);
         fileInfo.metadata.performance_metrics = stageDurations;
         fileInfo.metadata.performance_formatted = Object.fromEntries(
@@ -1513,6 +2820,26 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             ])
         );
 
+        // SRT, plain text and JSON versions of the timed transcript, for caption uploads
+        let captionCues = null;
+        const captionStyle = this.getCaptionStyle();
+        if (captionStyle && fileInfo.caption_words) {
+            captionCues = this.resegmentCaptions(fileInfo.caption_words, { ...captionStyle, speakerNames: this.speakerNames ?? {} });
+
+            const vocabulary = this.getCustomVocabulary();
+            if (vocabulary.length > 0) {
+                captionCues = captionCues.map(cue => ({ ...cue, text: this.correctVocabulary(cue.text, vocabulary).text }));
+            }
+
+            console.log(`Re-segmented the captions into ${captionCues.length} cues.`);
+            delete fileInfo.caption_words;
+        }
+
+        const captions = this.buildCaptionExports(captionCues ?? this.parseVTTCues(fileInfo.full_vtt));
+        if (captions && this.save_caption_files === true) {
+            captions.files = await this.writeCaptionFiles(captions, fileInfo.file_name ?? this.fileName ?? "transcript");
+        }
+
         const finalReturn = {}
         finalReturn.property_values = fileInfo.property_values;
         finalReturn.property_values.file_link = fileInfo.link;
@@ -1530,18 +2857,35 @@ This step works seamlessly with the **Send to Notion** step you likely see below
             full_transcript: fileInfo.full_transcript,
             ...(fileInfo.metadata.formatted_chat && fileInfo.metadata.formatted_chat.summary && { summary: fileInfo.metadata.formatted_chat.summary }),
             ...(fileInfo.full_vtt && { full_vtt: fileInfo.full_vtt }),
+            ...(captions && { captions }),
+            ...(fileInfo.utterances && { utterances: fileInfo.utterances }),
+            ...(fileInfo.low_confidence && { low_confidence: fileInfo.low_confidence }),
+            ...(fileInfo.speakers && { speakers: fileInfo.speakers }),
             ...(this.debug && this.debug === true && { chunks: fileInfo.chunks }),
             performance: fileInfo.metadata.performance_formatted,
             metadata: {
                 log_settings: fileInfo.metadata.log_settings ?? null,
                 cloud_app: fileInfo.metadata.cloud_app ?? null,
+                source: fileInfo.metadata.source ?? null,
                 path: fileInfo.metadata.path ?? null,
                 mime: fileInfo.metadata.mime ?? null,
                 file_size: this.file_size ?? null,
+                video: fileInfo.metadata.video ?? null,
+                preprocessing: fileInfo.metadata.preprocessing ?? null,
+                silence_trimming: fileInfo.metadata.silence_trimming ?? null,
+                speed_up: fileInfo.metadata.speed_up ?? null,
                 duration: fileInfo.metadata.duration ?? null,
                 duration_formatted: fileInfo.metadata.duration_formatted ?? null,
                 longest_gap: fileInfo.metadata.longest_gap ?? null,
                 original_language: fileInfo.metadata.original_language ?? null,
+                transcript_language: fileInfo.metadata.transcript_language ?? null,
+                chunk_languages: fileInfo.metadata.chunk_languages ?? null,
+                transcription_providers: fileInfo.metadata.transcription_providers ?? null,
+                transcription_cache: fileInfo.metadata.transcription_cache ?? null,
+                transcription_rate_limiting: fileInfo.metadata.transcription_rate_limiting ?? null,
+                vocabulary_corrections: fileInfo.metadata.vocabulary_corrections ?? null,
+                ai_providers: fileInfo.metadata.ai_providers ?? null,
+                ai_failures: fileInfo.metadata.ai_failures ?? null,
             }
         }
         
@@ -1549,7 +2893,11 @@ This step works seamlessly with the **Send to Notion** step you likely see below
 
         console.log(`Finished transcribing and summarizing the audio file. Total duration: ${fileInfo.metadata.performance_formatted.total}. Note that this duration may be a couple seconds off from Pipedream's internal timer (see Details tab → Duration), which has a higher-level view of the workflow's runtime.`);
 
-        $.export("$summary", `Successfully processed ${fileInfo.file_name} in ${fileInfo.metadata.performance_formatted.total}.`);
+        if (fileInfo.metadata.ai_failures) {
+            $.export("$summary", `Processed ${fileInfo.file_name} in ${fileInfo.metadata.performance_formatted.total}, but ${fileInfo.metadata.ai_failures.note} See other_data.metadata.ai_failures for details.`);
+        } else {
+            $.export("$summary", `Successfully processed ${fileInfo.file_name} in ${fileInfo.metadata.performance_formatted.total}.`);
+        }
         
         return finalReturn;
 
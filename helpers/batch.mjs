@@ -0,0 +1,163 @@
+// Node.js utils
+import stream from "stream"; // Stream handling
+import { promisify } from "util"; // Promisify
+import fs from "fs"; // File system
+import { join, basename, extname } from "path"; // Path handling
+import yauzl from "yauzl@~3.2.0"; // Zip archives
+
+const MEDIA_EXTENSIONS = [
+    ".mp3", ".m4a", ".mp4", ".mpeg", ".mpga", ".wav", ".webm", ".ogg", ".oga", ".opus",
+    ".flac", ".aac", ".aiff", ".mov", ".mkv", ".avi", ".wmv", ".flv", ".3gp",
+];
+
+export default {
+    methods: {
+        isBatchMediaFile(name) {
+            // Skips hidden files and the resource forks macOS adds to zip archives
+            const fileName = basename(name);
+            return !fileName.startsWith(".") && !name.includes("__MACOSX/") && MEDIA_EXTENSIONS.includes(extname(fileName).toLowerCase());
+        },
+
+        async collectBatchFiles(source) {
+            // Returns [{ path, name, link }] for a /tmp directory, a zip archive, or an array from a previous step
+            let value = source;
+            if (typeof value === "string") {
+                const trimmed = value.trim();
+                if (trimmed.startsWith("[")) {
+                    try {
+                        value = JSON.parse(trimmed);
+                    } catch (error) {
+                        throw new Error(`Batch Source looks like a JSON array, but it couldn't be parsed: ${error.message}`);
+                    }
+                } else {
+                    value = trimmed;
+                }
+            }
+
+            if (Array.isArray(value)) {
+                const files = value.map((entry, index) => {
+                    const path = typeof entry === "string"
+                        ? entry
+                        : entry?.path ?? entry?.filePath ?? entry?.tmpPath;
+
+                    if (!path || !/^\/tmp\/.+/.test(path)) {
+                        throw new Error(`Batch Source item ${index + 1} doesn't have a file path in /tmp/. Each item should be a path like /tmp/memo.m4a, or an object with a path (or filePath/tmpPath) property.`);
+                    }
+
+                    return {
+                        path,
+                        name: typeof entry === "object" && entry.name ? entry.name : basename(path),
+                        link: typeof entry === "object" ? entry.link ?? entry.webViewLink ?? entry.webUrl ?? null : null,
+                    };
+                });
+
+                const missing = files.filter(file => !fs.existsSync(file.path));
+                if (missing.length > 0) {
+                    throw new Error(`These batch files don't exist: ${missing.map(file => file.path).join(", ")}. Pipedream may have cleared your temporary storage since they were downloaded.`);
+                }
+
+                return files;
+            }
+
+            if (typeof value !== "string" || !/^\/tmp\/.+/.test(value)) {
+                throw new Error(`Batch Source must be a directory or zip archive in /tmp/, or an array of file paths from a previous step.`);
+            }
+
+            if (!fs.existsSync(value)) {
+                throw new Error(`Batch Source ${value} does not exist. If you're testing this workflow, Pipedream may have cleared your temporary storage. Please re-test the step that downloaded it.`);
+            }
+
+            const stats = await fs.promises.stat(value);
+
+            if (stats.isDirectory()) {
+                const entries = await fs.promises.readdir(value, { recursive: true, withFileTypes: true });
+                return entries
+                    .filter(entry => entry.isFile())
+                    .map(entry => join(entry.parentPath ?? entry.path, entry.name))
+                    .filter(path => this.isBatchMediaFile(path))
+                    .sort((a, b) => a.localeCompare(b))
+                    .map(path => ({ path, name: basename(path), link: null }));
+            }
+
+            if (extname(value).toLowerCase() === ".zip") {
+                return await this.extractBatchZip(value);
+            }
+
+            throw new Error(`Batch Source ${value} is a file, but not a zip archive. To transcribe a single file, use the Transcribe and Summarize step instead.`);
+        },
+
+        async extractBatchZip(zipPath) {
+            const outputDir = join("/tmp", `batch-${basename(zipPath, extname(zipPath))}`.replace(/[^\w.-]/g, "_"));
+            await fs.promises.mkdir(outputDir, { recursive: true });
+
+            console.log(`Extracting recordings from ${zipPath} to ${outputDir}...`);
+
+            const zip = await promisify(yauzl.open)(zipPath, { lazyEntries: true });
+            const openReadStream = promisify(zip.openReadStream.bind(zip));
+            const pipeline = promisify(stream.pipeline);
+            const files = [];
+            const usedNames = new Set();
+
+            // Entries are read one at a time, so only one file is ever held open
+            await new Promise((resolve, reject) => {
+                zip.on("entry", async (entry) => {
+                    try {
+                        if (!entry.fileName.endsWith("/") && this.isBatchMediaFile(entry.fileName)) {
+                            // Only the base name is used, so entries can't be written outside the output directory
+                            let name = basename(entry.fileName);
+                            for (let copy = 2; usedNames.has(name); copy++) {
+                                name = `${basename(entry.fileName, extname(entry.fileName))} (${copy})${extname(entry.fileName)}`;
+                            }
+                            usedNames.add(name);
+
+                            const path = join(outputDir, name);
+                            await pipeline(await openReadStream(entry), fs.createWriteStream(path));
+                            files.push({ path, name, link: null });
+                        }
+                        zip.readEntry();
+                    } catch (error) {
+                        zip.close();
+                        reject(error);
+                    }
+                });
+                zip.on("end", resolve);
+                zip.on("error", reject);
+                zip.readEntry();
+            });
+
+            console.log(`Extracted ${files.length} recording(s) from the archive.`);
+            return files.sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        summarizeBatch(results) {
+            // Per-minute transcription pricing is the main cost of a batch, so minutes are totalled per provider
+            const succeeded = results.filter(result => result.status === "success");
+            const cost = { audio_minutes: 0, billed_audio_minutes: 0, by_provider: {} };
+
+            for (const { result } of succeeded) {
+                const values = result.property_values ?? {};
+                const minutes = (values.duration ?? 0) / 60;
+                const billedMinutes = (values.processed_duration ?? values.duration ?? 0) / 60;
+                cost.audio_minutes += minutes;
+                cost.billed_audio_minutes += billedMinutes;
+
+                const providers = [...new Set((result.other_data?.metadata?.transcription_providers ?? []).map(chunk => chunk.provider))];
+                const key = providers.length > 0 ? providers.join("+") : "unknown";
+                cost.by_provider[key] = Math.round(((cost.by_provider[key] ?? 0) + billedMinutes) * 100) / 100;
+            }
+
+            cost.audio_minutes = Math.round(cost.audio_minutes * 100) / 100;
+            cost.billed_audio_minutes = Math.round(cost.billed_audio_minutes * 100) / 100;
+
+            return {
+                total: results.length,
+                succeeded: succeeded.length,
+                failed: results.length - succeeded.length,
+                failures: results
+                    .filter(result => result.status === "failed")
+                    .map(({ file, error, category, fix }) => ({ file, error, category, fix })),
+                cost,
+            };
+        },
+    },
+};
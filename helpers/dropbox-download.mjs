@@ -3,12 +3,13 @@ import fs from "fs";
 import stream from "stream";
 import { promisify } from "util";
 import got from "got";
+import errors from "./errors.mjs";
 
 export default {
     name: "Download File to TMP",
     description: "Download a specific file to the temporary directory using streaming to avoid memory issues. Memory-efficient alternative to the official PipedreamDropbox action.",
     key: "download-file-to-tmp",
-    version: "0.1.1",
+    version: "0.1.2",
     type: "action",
     props: {
         dropbox: {
@@ -28,6 +29,7 @@ export default {
         },
     },
     methods: {
+        ...errors.methods,
         getDropboxClient() {
             return new Dropbox({
                 accessToken: this.dropbox.$auth.oauth_access_token,
@@ -94,7 +96,9 @@ export default {
             return result;
             
         } catch (error) {
-            throw new Error(`Failed to download file: ${error.message}`);
+            const actionable = this.toActionableError(error, { provider: "dropbox", action: "Failed to download file" });
+            $.export("$summary", this.getErrorSummary(actionable));
+            throw actionable;
         }
     },
 }
\ No newline at end of file
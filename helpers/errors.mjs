@@ -0,0 +1,141 @@
+// Sorts provider errors into a few categories, so every helper retries and explains them the same way
+
+const RETRYABLE_CATEGORIES = ["rate_limit", "transient", "unknown"];
+
+const PROVIDER_NAMES = {
+    openai: "OpenAI",
+    groqcloud: "Groq",
+    deepgram: "Deepgram",
+    assemblyai: "AssemblyAI",
+    elevenlabs: "ElevenLabs",
+    google_gemini: "Google Gemini",
+    anthropic: "Anthropic",
+    cerebras: "Cerebras",
+    custom: "your custom server",
+    notion: "Notion",
+    dropbox: "Dropbox",
+    google_drive: "Google Drive",
+    onedrive: "Microsoft OneDrive",
+    url: "the file's server",
+};
+
+export default {
+    methods: {
+        getErrorStatus(error) {
+            const status = error?.status
+                ?? error?.statusCode
+                ?? error?.response?.status
+                ?? error?.response?.statusCode
+                ?? error?.cause?.status
+                ?? error?.cause?.statusCode;
+            return Number.isInteger(Number(status)) && Number(status) > 0 ? Number(status) : null;
+        },
+
+        classifyError(error) {
+            // Already classified errors keep their category when they're rethrown
+            if (error?.category) {
+                return { category: error.category, retryable: RETRYABLE_CATEGORIES.includes(error.category), status: this.getErrorStatus(error) };
+            }
+
+            const status = this.getErrorStatus(error);
+            const text = [
+                error?.message,
+                error?.code,
+                error?.cause?.message,
+                error?.response?.data?.message,
+                error?.response?.data?.error?.message,
+                error?.response?.data?.code,
+            ].filter(value => typeof value === "string").join(" ").toLowerCase();
+
+            let category = "unknown";
+
+            // Order matters: a 429 can mean an exhausted quota, and a 400 can be a content filter
+            if (/content[ _-]?(policy|filter|management)|safety (system|settings)|flagged|responsible ai|violat(es|ion)/.test(text)) {
+                category = "content_policy";
+            } else if (status === 402 || /insufficient[ _]quota|exceeded your current quota|quota exceeded|billing|out of credits|insufficient (credits|funds|balance)|payment required|per day \((rpd|tpd|asd)\)|resource[ _]exhausted/.test(text)) {
+                category = "quota";
+            } else if (status === 401 || /invalid[ _]api[ _]key|incorrect api key|api key not valid|invalid x-api-key|unauthori[sz]ed|authentication|invalid (auth|credentials|token)|api_key_invalid/.test(text)) {
+                category = "auth";
+            } else if (status === 403 || /permission denied|forbidden|restricted_resource|object_not_found|could not find (database|page)/.test(text)) {
+                category = "auth";
+            } else if (status === 429 || /rate[ _]limit|too many requests/.test(text)) {
+                category = "rate_limit";
+            } else if ([400, 404, 413, 415, 422].includes(status) || /invalid file format|unsupported (file|format|audio|media)|could not (decode|process) (the )?(audio|file)|corrupt|file is too large|maximum (content|file) size|context[ _]length|too many tokens|validation_error|invalid_request/.test(text)) {
+                category = "invalid_input";
+            } else if ((status && (status >= 500 || status === 408)) || /econnreset|etimedout|econnrefused|eai_again|socket hang up|network|connection error|fetch failed|timed? ?out|overloaded|service unavailable|bad gateway/.test(text)) {
+                category = "transient";
+            }
+
+            return { category, retryable: RETRYABLE_CATEGORIES.includes(category), status };
+        },
+
+        getErrorFix({ category, provider }) {
+            const name = PROVIDER_NAMES[provider] ?? provider ?? "the service";
+
+            switch (category) {
+                case "auth":
+                    return provider === "notion"
+                        ? `Reconnect your Notion account, and make sure the integration has been given access to your database.`
+                        : `Check your ${name} API key or account connection. Reconnect the account in this step, or generate a new key and update it in Pipedream.`;
+                case "quota":
+                    return `${name} says your account is out of credits or over its usage quota. Add credits or billing details in your ${name} account, wait for the quota to reset, or add a fallback service in Advanced Options.`;
+                case "rate_limit":
+                    return `${name} is limiting how many requests you can send. Wait a few minutes and try again, or add a fallback service in Advanced Options.`;
+                case "invalid_input":
+                    return provider === "notion"
+                        ? `Notion rejected the request. Check that your database properties match the ones selected in this step.`
+                        : `${name} couldn't accept the file or request. Check that the file isn't corrupted and is a supported type. Enabling Audio Downsampling in Advanced Options converts the file to a format every service accepts.`;
+                case "content_policy":
+                    return `${name} refused this request under its content policy. Try a different service or model for this file.`;
+                case "transient":
+                    return `${name} had a temporary problem. Try again in a few minutes.`;
+                default:
+                    return null;
+            }
+        },
+
+        toActionableError(error, { provider, action } = {}) {
+            // Returns an error whose message ends with what the user can do about it
+            if (error?.fix !== undefined) {
+                return error;
+            }
+
+            const { category, retryable, status } = this.classifyError(error);
+            const fix = this.getErrorFix({ category, provider });
+
+            const actionable = new Error(
+                `${action ? `${action}: ` : ""}${error?.message ?? error}${fix ? `\n\nHow to fix: ${fix}` : ""}`,
+                { cause: error }
+            );
+            actionable.category = category;
+            actionable.retryable = retryable;
+            actionable.status = status ?? undefined;
+            actionable.retryAfter = error?.retryAfter;
+            actionable.provider = provider;
+            actionable.fix = fix;
+            return actionable;
+        },
+
+        reportError(error, options) {
+            // For errors that end the run. The component sets summaryExport so the fix shows in the step summary.
+            const actionable = this.toActionableError(error, options);
+            this.summaryExport?.(this.getErrorSummary(actionable));
+            return actionable;
+        },
+
+        getErrorSummary(error) {
+            // One line for $summary, which has far less room than the error itself
+            const { category } = this.classifyError(error);
+            const fix = error?.fix ?? this.getErrorFix({ category, provider: error?.provider });
+            const labels = {
+                auth: "Authentication failed",
+                quota: "Usage quota exceeded",
+                rate_limit: "Rate limited",
+                invalid_input: "Invalid file or request",
+                content_policy: "Blocked by content policy",
+                transient: "Temporary service error",
+            };
+            return fix ? `${labels[category]}. ${fix}` : `Failed: ${String(error?.message ?? error).split("\n")[0]}`;
+        },
+    },
+};
@@ -5,11 +5,14 @@ import { parseFile } from "music-metadata@~11.12.1"; // Audio duration parser
 // Node.js utils
 import { promisify } from "util"; // Promisify
 import fs from "fs"; // File system
-import { join, extname } from "path"; // Path handling
+import { join, extname, basename } from "path"; // Path handling
 import { exec, spawn } from "child_process"; // Shell commands
 
 const execAsync = promisify(exec);
 
+// Containers that usually hold video. Some (e.g. .webm) may be audio-only, so the file is probed before extracting.
+const VIDEO_CONTAINERS = [".mp4", ".mov", ".mkv", ".webm", ".avi"];
+
 // Global process tracking
 const activeProcesses = new Set();
 
@@ -194,7 +197,7 @@ export default {
             return segmentTime;
         },
 
-        async chunkFile({ file }) {
+        async chunkFile({ file, fileSize = this.file_size, label }) {
             try {
                 if (!file) {
                     throw new Error('No file provided to chunkFile function');
@@ -209,8 +212,9 @@ export default {
                 const ffmpegPath = ffmpegInstaller.path;
                 
                 const chunkDirName = "chunks-" + this.steps.trigger.context.id;
-                const outputDir = join("/tmp", chunkDirName);
-                this.chunkDir = outputDir;
+                // Labelled runs (e.g. one per audio channel) get a subfolder, so cleanTmp still removes everything at once
+                const outputDir = label ? join("/tmp", chunkDirName, label) : join("/tmp", chunkDirName);
+                this.chunkDir = join("/tmp", chunkDirName);
 
                 try {
                     await execAsync(`mkdir -p "${outputDir}"`);
@@ -223,10 +227,10 @@ export default {
 
                 const chunkSize = this.chunk_size || 24;
                 
-                let fileSizeInMB = this.file_size / (1024 * 1024);
+                let fileSizeInMB = fileSize / (1024 * 1024);
                 console.log(`Full file size: ${fileSizeInMB.toFixed(2)}MB. Target chunk size: ${chunkSize}MB. Commencing chunking...`);
 
-                const segmentTime = this.calculateSegmentTime(this.file_size, this.duration);
+                const segmentTime = this.calculateSegmentTime(fileSize, this.duration);
 
                 if (segmentTime === this.duration) {
                     try {
@@ -238,16 +242,70 @@ export default {
                         } catch (error) {
                             console.warn('Failed to cleanup original file:', error);
                         }
-                        const files = await fs.promises.readdir(outputDir);
+                        const files = (await fs.promises.readdir(outputDir))
+                            .filter((file) => file.includes("chunk-"));
                         return {
                             files: files,
                             outputDir: outputDir,
+                            offsets: [0],
                         }
                     } catch (error) {
                         throw new Error(`Failed to copy single chunk file: ${error.message}`);
                     }
                 }
                 
+                // Written outside the chunk directory so it isn't mistaken for a chunk
+                const segmentListPath = join("/tmp", `${chunkDirName}${label ? `-${label}` : ""}-segments.csv`);
+
+                const overlap = Math.max(0, Math.min(10, Number(this.chunk_overlap) || 0));
+
+                // Overlapping chunks are longer than their spacing, so shrink the spacing to stay within the size limit
+                const boundarySpacing = overlap > 0 ? Math.max(1, segmentTime - overlap) : segmentTime;
+
+                let segmentTimes = null;
+                if (this.silence_aware_chunking === true) {
+                    try {
+                        const silences = await this.detectSilences({ file });
+                        segmentTimes = this.chooseSilenceBoundaries({
+                            silences,
+                            duration: this.duration,
+                            segmentTime: boundarySpacing,
+                        });
+                    } catch (error) {
+                        console.warn(`Silence detection failed. Falling back to fixed-length chunks: ${error.message}`);
+                    }
+                }
+
+                if (overlap > 0) {
+                    const boundaries = segmentTimes ?? [];
+                    if (!segmentTimes) {
+                        for (let time = boundarySpacing; time < this.duration; time += boundarySpacing) {
+                            boundaries.push(time);
+                        }
+                    }
+
+                    const { files, offsets, overlaps } = await this.splitWithOverlap({
+                        file,
+                        outputDir,
+                        boundaries,
+                        overlap,
+                    });
+
+                    try {
+                        await fs.promises.unlink(file);
+                        console.log('Original file cleaned up after chunking');
+                    } catch (error) {
+                        console.warn('Failed to cleanup original file:', error);
+                    }
+
+                    return {
+                        files,
+                        outputDir,
+                        offsets,
+                        overlaps,
+                    };
+                }
+
                 const chunkFile = () => {
                     return new Promise((resolve, reject) => {
                         this.logMemoryUsage('Start of chunking operation');
@@ -264,8 +322,12 @@ export default {
                             '-i', file,
                             '-c:a', 'copy',
                             '-f', 'segment',
-                            '-segment_time', `${segmentTime}`,
+                            ...(segmentTimes && segmentTimes.length > 0
+                                ? ['-segment_times', segmentTimes.map(time => time.toFixed(3)).join(',')]
+                                : ['-segment_time', `${segmentTime}`]),
                             '-reset_timestamps', '1',
+                            '-segment_list', segmentListPath,
+                            '-segment_list_type', 'csv',
                             '-map', '0:a:0',
                             '-max_muxing_queue_size', '64',
                             `${outputDir}/chunk-%03d${extname(file)}`
@@ -347,22 +409,611 @@ export default {
                     console.warn('Failed to cleanup original file:', error);
                 }
 
-                const chunkFiles = await fs.promises.readdir(outputDir);
-                const chunkCount = chunkFiles.filter((file) =>
-                    file.includes("chunk-")
-                ).length;
+                const chunkFiles = (await fs.promises.readdir(outputDir))
+                    .filter((file) => file.includes("chunk-"))
+                    .sort();
+                const chunkCount = chunkFiles.length;
                 console.log(`Created ${chunkCount} chunks.`);
 
+                const offsets = await this.readSegmentOffsets({
+                    segmentListPath,
+                    files: chunkFiles,
+                    segmentTime,
+                });
+
                 return {
                     files: chunkFiles,
                     outputDir: outputDir,
+                    offsets: offsets,
                 }
             } catch (error) {
                 console.error(`Chunking process failed: ${error.message}`);
                 throw new Error(`Failed to chunk audio file: ${error.message}`);
             }
         },
-        async downsampleAudio({ file }) {
+        async splitWithOverlap({ file, outputDir, boundaries, overlap }) {
+            // The segment muxer can't produce overlapping chunks, so each chunk is cut with its own ffmpeg call
+            const ffmpegPath = ffmpegInstaller.path;
+            const ranges = [];
+            let start = 0;
+            for (const boundary of [...boundaries, this.duration]) {
+                ranges.push({ start, end: boundary });
+                start = boundary;
+            }
+
+            console.log(`Splitting file into ${ranges.length} chunks with ${overlap}s of overlap...`);
+
+            const files = [];
+            const offsets = [];
+            const overlaps = [];
+
+            // Packet times are measured from the file's first packet, which isn't always at 0
+            const firstPacketTime = await this.getPacketTime(file, 0) ?? 0;
+
+            for (const [index, range] of ranges.entries()) {
+                if (await this.earlyTermination()) {
+                    throw new Error('Chunking process terminated due to timeout');
+                }
+
+                const chunkStart = index === 0 ? 0 : Math.max(0, range.start - overlap);
+                const chunkName = `chunk-${String(index).padStart(3, '0')}${extname(file)}`;
+                const args = [
+                    '-hide_banner', '-loglevel', 'error', '-y', '-nostdin',
+                    '-ss', chunkStart.toFixed(3),
+                    ...(index < ranges.length - 1 ? ['-t', (range.end - chunkStart).toFixed(3)] : []),
+                    '-i', file,
+                    '-map', '0:a:0',
+                    '-c:a', 'copy',
+                    join(outputDir, chunkName)
+                ];
+
+                await new Promise((resolve, reject) => {
+                    const ffmpeg = spawnWithTracking(ffmpegPath, args);
+                    let errorOutput = '';
+
+                    ffmpeg.stderr.on('data', (data) => {
+                        errorOutput += data.toString();
+                    });
+
+                    ffmpeg.on('close', (code) => {
+                        if (code === 0) {
+                            resolve();
+                        } else {
+                            reject(new Error(`ffmpeg failed to create ${chunkName} with code ${code}: ${errorOutput}`));
+                        }
+                    });
+
+                    ffmpeg.on('error', (err) => {
+                        reject(new Error(`ffmpeg process error while creating ${chunkName}: ${err.message}`));
+                    });
+                });
+
+                // Stream copy can only cut on a packet, so the chunk starts on the packet nearest chunkStart.
+                // A time far from chunkStart means the probe seeked differently, so it's ignored.
+                const packetTime = index === 0 ? null : await this.getPacketTime(file, chunkStart);
+                const probedStart = packetTime === null ? null : Math.max(0, packetTime - firstPacketTime);
+                const actualStart = probedStart !== null && Math.abs(probedStart - chunkStart) < 1 ? probedStart : chunkStart;
+
+                console.log(`Created ${chunkName} (${actualStart.toFixed(3)}s → ${range.end.toFixed(3)}s)`);
+                files.push(chunkName);
+                offsets.push(actualStart);
+                overlaps.push(index === 0 ? 0 : range.start - actualStart);
+            }
+
+            return { files, offsets, overlaps };
+        },
+
+        async detectSilences({ file, noise = "-35dB", minDuration = 0.4 }) {
+            const ffmpegPath = ffmpegInstaller.path;
+            const args = [
+                '-hide_banner', '-nostdin', '-vn',
+                '-i', file,
+                '-af', `silencedetect=noise=${noise}:d=${minDuration}`,
+                '-f', 'null', '-'
+            ];
+
+            console.log(`Detecting silences with ffmpeg command: ${ffmpegPath} ${args.join(' ')}`);
+            const startTime = Date.now();
+
+            return new Promise((resolve, reject) => {
+                const ffmpeg = spawnWithTracking(ffmpegPath, args);
+                const silences = [];
+                let pendingStart = null;
+                let buffer = '';
+                let lastError = '';
+
+                const checkInterval = setInterval(async () => {
+                    if (await this.earlyTermination()) {
+                        clearInterval(checkInterval);
+                        ffmpeg.kill();
+                        reject(new Error('Silence detection terminated due to timeout'));
+                    }
+                }, 2000);
+
+                // Parse line by line so the (long) stderr output never has to be held in memory
+                ffmpeg.stderr.on('data', (data) => {
+                    buffer += data.toString();
+                    const lines = buffer.split(/\r?\n|\r/);
+                    buffer = lines.pop();
+
+                    for (const line of lines) {
+                        const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+                        const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+                        if (startMatch) {
+                            pendingStart = Math.max(0, parseFloat(startMatch[1]));
+                        } else if (endMatch && pendingStart !== null) {
+                            silences.push({ start: pendingStart, end: parseFloat(endMatch[1]) });
+                            pendingStart = null;
+                        } else if (/error/i.test(line)) {
+                            lastError = line;
+                        }
+                    }
+                });
+
+                ffmpeg.on('close', (code) => {
+                    clearInterval(checkInterval);
+                    if (code === 0) {
+                        console.log(`Found ${silences.length} silences in ${((Date.now() - startTime) / 1000).toFixed(2)} seconds.`);
+                        resolve(silences);
+                    } else {
+                        reject(new Error(`ffmpeg silencedetect failed with code ${code}: ${lastError}`));
+                    }
+                });
+
+                ffmpeg.on('error', (err) => {
+                    clearInterval(checkInterval);
+                    reject(new Error(`ffmpeg silencedetect process error: ${err.message}`));
+                });
+            });
+        },
+
+        async trimSilences({ file, duration, minSilence = 2, padding = 0.25 }) {
+            // Removes pauses longer than minSilence, leaving `padding` seconds of each one so words aren't clipped.
+            // Returns the trimmed file and a time map for converting trimmed timestamps back, or null if there's little to remove.
+            const silences = await this.detectSilences({ file, minDuration: minSilence });
+
+            const keep = [];
+            let cursor = 0;
+            for (const silence of silences) {
+                const cutStart = silence.start + padding;
+                const cutEnd = silence.end - padding;
+                if (cutEnd - cutStart <= 0 || cutStart <= cursor) continue;
+
+                keep.push({ start: cursor, end: cutStart });
+                cursor = cutEnd;
+            }
+            keep.push({ start: cursor, end: duration });
+
+            const removed = duration - keep.reduce((total, segment) => total + (segment.end - segment.start), 0);
+            if (keep.length < 2 || removed < 1) {
+                console.log(`Only ${removed.toFixed(1)} seconds of silence could be removed. Skipping silence trimming.`);
+                return null;
+            }
+
+            // Written next to the chunk directory rather than in it, so neither file is mistaken for a chunk.
+            // cleanTmp removes them along with the chunks.
+            const workPrefix = join("/tmp", "chunks-" + this.steps.trigger.context.id);
+            this.chunkDir = workPrefix;
+
+            // Small frames keep each cut within a few milliseconds of the silence, so the time map stays accurate.
+            // The filter goes in a script file because a long recording can have more segments than fit in one argument.
+            const scriptPath = `${workPrefix}-trim-filter.txt`;
+            const selection = keep.map(segment => `between(t,${segment.start.toFixed(3)},${segment.end.toFixed(3)})`).join("+");
+            await fs.promises.writeFile(scriptPath, `asetnsamples=n=256:p=0,aselect='${selection}',asetpts=N/SR/TB`);
+
+            const outputPath = `${workPrefix}-trimmed.m4a`;
+            const ffmpegPath = ffmpegInstaller.path;
+            const args = [
+                '-hide_banner', '-loglevel', 'error', '-y', '-nostdin',
+                '-i', file,
+                '-vn',
+                '-filter_script:a', scriptPath,
+                '-c:a', 'aac',
+                '-b:a', '64k',
+                outputPath
+            ];
+
+            console.log(`Removing ${keep.length - 1} silences (${removed.toFixed(1)} seconds) with ffmpeg command: ${ffmpegPath} ${args.join(' ')}`);
+
+            await new Promise((resolve, reject) => {
+                const ffmpeg = spawnWithTracking(ffmpegPath, args);
+                let errorOutput = '';
+
+                ffmpeg.stderr.on('data', (data) => {
+                    errorOutput += data.toString();
+                });
+
+                ffmpeg.on('close', (code) => {
+                    if (code === 0) {
+                        resolve();
+                    } else {
+                        reject(new Error(`ffmpeg failed to trim silences with code ${code}: ${errorOutput}`));
+                    }
+                });
+
+                ffmpeg.on('error', (err) => {
+                    reject(new Error(`ffmpeg process error while trimming silences: ${err.message}`));
+                });
+            }).finally(() => fs.promises.rm(scriptPath, { force: true }));
+
+            const timeMap = [];
+            let trimmedStart = 0;
+            for (const segment of keep) {
+                const length = segment.end - segment.start;
+                timeMap.push({
+                    trimmed_start: Math.round(trimmedStart * 1000) / 1000,
+                    original_start: Math.round(segment.start * 1000) / 1000,
+                    duration: Math.round(length * 1000) / 1000,
+                });
+                trimmedStart += length;
+            }
+
+            const { size } = await fs.promises.stat(outputPath);
+
+            return {
+                path: outputPath,
+                size,
+                duration: trimmedStart,
+                removed,
+                timeMap,
+            };
+        },
+
+        chooseSilenceBoundaries({ silences, duration, segmentTime, searchWindow }) {
+            // Only look backwards from each target, so no chunk is ever longer (or larger) than segmentTime
+            const window = searchWindow ?? Math.min(60, Math.max(5, segmentTime * 0.2));
+            const boundaries = [];
+            let cursor = 0;
+
+            while (duration - cursor > segmentTime) {
+                const target = cursor + segmentTime;
+
+                let best = null;
+                for (const silence of silences) {
+                    const midpoint = (silence.start + silence.end) / 2;
+                    if (midpoint > cursor + 1 && midpoint >= target - window && midpoint <= target) {
+                        if (!best || midpoint > best) best = midpoint;
+                    }
+                }
+
+                const boundary = best ?? target;
+                console.log(best
+                    ? `Chunk boundary at ${boundary.toFixed(3)}s (silence, target ${target.toFixed(3)}s)`
+                    : `No silence within ${window}s before ${target.toFixed(3)}s. Cutting at the target instead.`);
+
+                boundaries.push(boundary);
+                cursor = boundary;
+            }
+
+            return boundaries;
+        },
+
+        async readSegmentOffsets({ segmentListPath, files, segmentTime }) {
+            // ffmpeg's segment list has one "file,start,end" row per chunk. The segment muxer
+            // only cuts on packet boundaries, so real start times drift from multiples of segmentTime.
+            const startTimes = {};
+
+            try {
+                const csv = await fs.promises.readFile(segmentListPath, "utf8");
+                for (const line of csv.split("\n")) {
+                    const [name, start] = line.trim().split(",");
+                    if (name && start !== undefined && !isNaN(parseFloat(start))) {
+                        startTimes[name] = parseFloat(start);
+                    }
+                }
+            } catch (error) {
+                console.warn(`Could not read chunk start times from ${segmentListPath}. Estimating from segment length instead: ${error.message}`);
+            } finally {
+                await fs.promises.rm(segmentListPath, { force: true });
+            }
+
+            const offsets = files.map((file, index) => startTimes[file] ?? index * segmentTime);
+            console.log(`Chunk start times (seconds): ${offsets.map(offset => offset.toFixed(3)).join(", ")}`);
+
+            return offsets;
+        },
+        isVideoContainer(filePath) {
+            return VIDEO_CONTAINERS.includes(extname(filePath ?? "").toLowerCase());
+        },
+
+        async probeVideo(filePath) {
+            // Returns the video's metadata, or null if the file has no video stream (cover art doesn't count)
+            const ffprobePath = ffprobeInstaller.path;
+            const command = `"${ffprobePath}" -v error -show_entries format=format_name,duration,size,bit_rate:stream=codec_type,codec_name,width,height,r_frame_rate,channels,sample_rate:stream_disposition=attached_pic -of json "${filePath}"`;
+
+            let probe;
+            try {
+                const { stdout } = await execAsync(command);
+                probe = JSON.parse(stdout);
+            } catch (error) {
+                console.warn(`Failed to probe ${filePath} for a video stream. Treating it as audio: ${error.message}`);
+                return null;
+            }
+
+            const streams = probe.streams ?? [];
+            const video = streams.find(stream => stream.codec_type === "video" && stream.disposition?.attached_pic !== 1);
+            const audio = streams.find(stream => stream.codec_type === "audio");
+
+            if (!video) {
+                return null;
+            }
+
+            if (!audio) {
+                throw new Error(`The video file ${filePath} has no audio track, so there is nothing to transcribe.`);
+            }
+
+            const [frames, seconds] = String(video.r_frame_rate ?? "").split("/").map(Number);
+
+            return {
+                container: probe.format?.format_name ?? null,
+                duration: probe.format?.duration ? Math.round(Number(probe.format.duration)) : null,
+                size: probe.format?.size ? Number(probe.format.size) : null,
+                bit_rate: probe.format?.bit_rate ? Number(probe.format.bit_rate) : null,
+                video_codec: video.codec_name ?? null,
+                width: video.width ?? null,
+                height: video.height ?? null,
+                frame_rate: frames && seconds ? Math.round((frames / seconds) * 100) / 100 : null,
+                audio_codec: audio.codec_name ?? null,
+                audio_channels: audio.channels ?? null,
+                audio_sample_rate: audio.sample_rate ? Number(audio.sample_rate) : null,
+            };
+        },
+
+        async extractAudio({ file }) {
+            // Keeps only the first audio stream, compressed for speech. Channels are kept so multichannel transcription still works.
+            const ffmpegPath = ffmpegInstaller.path;
+            // Written beside the chunk directory, not in it, so chunkFile doesn't pick it up as a chunk
+            const workPrefix = join("/tmp", "chunks-" + this.steps.trigger.context.id);
+            this.chunkDir = workPrefix;
+
+            const outputPath = `${workPrefix}-extracted-audio.m4a`;
+            const args = [
+                '-hide_banner', '-loglevel', 'error', '-y', '-nostdin',
+                '-i', file,
+                '-map', '0:a:0',
+                '-vn',
+                '-ar', '16000',
+                '-c:a', 'aac',
+                '-b:a', '48k',
+                outputPath
+            ];
+
+            console.log(`Extracting audio from video with ffmpeg command: ${ffmpegPath} ${args.join(' ')}`);
+
+            await new Promise((resolve, reject) => {
+                const ffmpeg = spawnWithTracking(ffmpegPath, args);
+                let errorOutput = '';
+
+                ffmpeg.stderr.on('data', (data) => {
+                    errorOutput += data.toString();
+                });
+
+                ffmpeg.on('close', (code) => {
+                    if (code === 0) {
+                        resolve();
+                    } else {
+                        reject(new Error(`ffmpeg failed to extract audio with code ${code}: ${errorOutput}`));
+                    }
+                });
+
+                ffmpeg.on('error', (err) => {
+                    reject(new Error(`ffmpeg process error while extracting audio: ${err.message}`));
+                });
+            });
+
+            const originalSize = fs.statSync(file).size;
+            const { size } = await fs.promises.stat(outputPath);
+            console.log(`Extracted audio to ${outputPath}: ${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(size / 1024 / 1024).toFixed(2)}MB`);
+
+            return { path: outputPath, size };
+        },
+
+        async getPacketTime(filePath, seconds = 0) {
+            // Time of the first audio packet ffmpeg reads after seeking to `seconds`, which is where a stream-copied cut really starts
+            const ffprobePath = ffprobeInstaller.path;
+            const command = `"${ffprobePath}" -v error -select_streams a:0 -read_intervals ${seconds.toFixed(3)}%+#1 -show_entries packet=pts_time -of csv=p=0 "${filePath}"`;
+
+            try {
+                const { stdout } = await execAsync(command);
+                const time = parseFloat(stdout.trim().split("\n")[0]);
+                return Number.isFinite(time) ? time : null;
+            } catch (error) {
+                console.warn(`Failed to read the packet time at ${seconds}s in ${filePath}: ${error.message}`);
+                return null;
+            }
+        },
+
+        async getChannelCount(filePath) {
+            const ffprobePath = ffprobeInstaller.path;
+            const command = `"${ffprobePath}" -v error -select_streams a:0 -show_entries stream=channels -of csv=p=0 "${filePath}"`;
+
+            try {
+                const { stdout } = await execAsync(command);
+                const channels = parseInt(stdout.trim(), 10);
+                return Number.isFinite(channels) && channels > 0 ? channels : 1;
+            } catch (error) {
+                console.warn(`Failed to read the channel count of ${filePath}. Treating it as mono: ${error.message}`);
+                return 1;
+            }
+        },
+
+        async splitChannels({ file, channels }) {
+            // Each channel becomes its own 16kHz mono file, the same format downsampleAudio produces
+            const ffmpegPath = ffmpegInstaller.path;
+            const outputDir = join("/tmp", "chunks-" + this.steps.trigger.context.id);
+            this.chunkDir = outputDir;
+            const preprocessing = await this.getPreprocessingFilters();
+
+            await fs.promises.mkdir(outputDir, { recursive: true });
+
+            console.log(`Splitting ${file} into ${channels} mono channel files...`);
+
+            const channelFiles = [];
+            for (let channel = 0; channel < channels; channel++) {
+                if (await this.earlyTermination()) {
+                    throw new Error('Channel splitting terminated due to timeout');
+                }
+
+                const outputPath = join(outputDir, `channel-${channel}.m4a`);
+                const args = [
+                    '-hide_banner', '-loglevel', 'error', '-y', '-nostdin',
+                    '-i', file,
+                    '-map', '0:a:0',
+                    '-af', [`pan=mono|c0=c${channel}`, preprocessing.graph].filter(Boolean).join(","),
+                    '-ar', '16000',
+                    '-c:a', 'aac',
+                    '-b:a', '32k',
+                    outputPath
+                ];
+
+                await new Promise((resolve, reject) => {
+                    const ffmpeg = spawnWithTracking(ffmpegPath, args);
+                    let errorOutput = '';
+
+                    ffmpeg.stderr.on('data', (data) => {
+                        errorOutput += data.toString();
+                    });
+
+                    ffmpeg.on('close', (code) => {
+                        if (code === 0) {
+                            resolve();
+                        } else {
+                            reject(new Error(`ffmpeg failed to extract channel ${channel} with code ${code}: ${errorOutput}`));
+                        }
+                    });
+
+                    ffmpeg.on('error', (err) => {
+                        reject(new Error(`ffmpeg process error while extracting channel ${channel}: ${err.message}`));
+                    });
+                });
+
+                const { size } = await fs.promises.stat(outputPath);
+                console.log(`Created ${outputPath} (${(size / 1024 / 1024).toFixed(2)}MB)`);
+                channelFiles.push({ channel, path: outputPath, size });
+            }
+
+            return channelFiles;
+        },
+
+        async getRNNoiseModel() {
+            const source = this.audio_rnnoise_model?.trim();
+            if (!source) {
+                console.warn("Neural noise reduction needs an RNNoise model, but none was provided.");
+                return null;
+            }
+
+            try {
+                if (/^https?:\/\//.test(source)) {
+                    const modelPath = join("/tmp", "rnnoise-models", basename(new URL(source).pathname) || "model.rnnn");
+                    if (!fs.existsSync(modelPath)) {
+                        console.log(`Downloading RNNoise model from ${source}...`);
+                        const response = await fetch(source);
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}`);
+                        }
+                        await fs.promises.mkdir(join("/tmp", "rnnoise-models"), { recursive: true });
+                        await fs.promises.writeFile(modelPath, Buffer.from(await response.arrayBuffer()));
+                    }
+                    return modelPath;
+                }
+
+                if (!fs.existsSync(source)) {
+                    throw new Error(`file does not exist at ${source}`);
+                }
+                return source;
+            } catch (error) {
+                console.warn(`Failed to load the RNNoise model: ${error.message}`);
+                return null;
+            }
+        },
+
+        getPlaybackSpeed() {
+            // A single atempo filter accepts up to 2x, which covers every option offered
+            const speed = this.advanced_options === true ? Number(this.playback_speed ?? 1) : 1;
+            return Number.isFinite(speed) && speed > 1 ? Math.min(speed, 2) : 1;
+        },
+
+        async getPreprocessingFilters() {
+            // Built once per run. graph is the ffmpeg -af value, or null if no preprocessing is enabled.
+            if (this.preprocessing !== undefined) {
+                return this.preprocessing;
+            }
+
+            const fftDenoise = { name: "afftdn", filter: "afftdn=nf=-25" };
+            const requested = [];
+
+            if (this.advanced_options === true) {
+                if (this.audio_highpass > 0) {
+                    requested.push({ name: "highpass", filter: `highpass=f=${this.audio_highpass}` });
+                }
+
+                if (this.audio_noise_reduction === "arnndn") {
+                    const model = await this.getRNNoiseModel();
+                    requested.push(model ? { name: "arnndn", filter: `arnndn=m=${model}` } : fftDenoise);
+                } else if (this.audio_noise_reduction === "afftdn") {
+                    requested.push(fftDenoise);
+                }
+
+                if (this.audio_compression === true) {
+                    // Threshold is linear; 0.089 is about -21 dBFS
+                    requested.push({ name: "acompressor", filter: "acompressor=threshold=0.089:ratio=3:attack=20:release=250:makeup=2" });
+                }
+
+                // Speeding up shortens what per-minute providers bill for. Timestamps are scaled back after transcription.
+                const speed = this.getPlaybackSpeed();
+                if (speed !== 1) {
+                    requested.push({ name: "atempo", filter: `atempo=${speed}` });
+                }
+
+                // Last, so the level it sets isn't changed by the other filters
+                if (this.audio_loudnorm === true) {
+                    requested.push({ name: "loudnorm", filter: "loudnorm=I=-16:TP=-1.5:LRA=11" });
+                }
+            }
+
+            if (requested.length === 0) {
+                this.preprocessing = { graph: null, applied: [], skipped: [], speed: 1 };
+                return this.preprocessing;
+            }
+
+            // Older ffmpeg builds lack some filters (arnndn needs ffmpeg 4.3), so those are skipped instead of failing the run
+            let available = null;
+            try {
+                const { stdout } = await execAsync(`"${ffmpegInstaller.path}" -hide_banner -filters`);
+                available = new Set(stdout.split("\n").map(line => line.trim().split(/\s+/)[1]).filter(Boolean));
+            } catch (error) {
+                console.warn(`Could not list the available ffmpeg filters: ${error.message}. Trying all preprocessing filters.`);
+            }
+
+            const applied = [];
+            const skipped = [];
+            for (const filter of requested) {
+                if (!available || available.has(filter.name)) {
+                    applied.push(filter);
+                } else if (filter.name === "arnndn" && available.has(fftDenoise.name)) {
+                    console.warn("This ffmpeg build doesn't support neural noise reduction. Using standard noise reduction instead.");
+                    applied.push(fftDenoise);
+                } else {
+                    console.warn(`This ffmpeg build doesn't support the ${filter.name} filter. Skipping it.`);
+                    skipped.push(filter.name);
+                }
+            }
+
+            this.preprocessing = {
+                graph: applied.length > 0 ? applied.map(filter => filter.filter).join(",") : null,
+                applied: applied.map(filter => filter.name),
+                skipped,
+                speed: applied.some(filter => filter.name === "atempo") ? this.getPlaybackSpeed() : 1,
+            };
+
+            if (this.preprocessing.graph) {
+                console.log(`Audio preprocessing filter graph: ${this.preprocessing.graph}`);
+            }
+
+            return this.preprocessing;
+        },
+
+        async downsampleAudio({ file, keepChannels = false }) {
             try {
                 if (!file) {
                     throw new Error('No file provided to downsampleAudio function');
@@ -386,6 +1037,7 @@ export default {
                 }
                 
                 const outputPath = join(downsampledDir, "downsampled.m4a");
+                const preprocessing = await this.getPreprocessingFilters();
                 
                 try {
                     const downsampleFile = () => {
@@ -393,7 +1045,9 @@ export default {
                             const args = [
                                 '-i', file,
                                 '-ar', '16000',
-                                '-ac', '1',
+                                // Multichannel transcription needs each side of the call kept separate
+                                ...(keepChannels ? [] : ['-ac', '1']),
+                                ...(preprocessing.graph ? ['-af', preprocessing.graph] : []),
                                 '-c:a', 'aac',
                                 '-b:a', '32k',
                                 '-loglevel', 'verbose',
@@ -467,7 +1121,8 @@ export default {
                         path: outputPath,
                         originalSize,
                         downsampledSize,
-                        sizeReduction
+                        sizeReduction,
+                        filterGraph: preprocessing.graph
                     };
                 } catch (error) {
                     throw new Error(`Failed during audio downsampling process: ${error.message}`);
@@ -2,6 +2,7 @@
 import stream from "stream"; // Stream handling
 import { promisify } from "util"; // Promisify
 import fs from "fs"; // File system
+import { join } from "path"; // Path handling
 import got from "got@~14.6.6"; // HTTP requests
 import { exec } from "child_process"; // Shell commands
 
@@ -36,6 +37,16 @@ export default {
             }
         },
 
+        chunkFilesExist(chunkFiles) {
+            // Multichannel runs keep a separate set of chunks for each channel
+            if (chunkFiles?.channels) {
+                return chunkFiles.channels.length > 0 && chunkFiles.channels.every(channel => this.chunkFilesExist(channel));
+            }
+
+            return Boolean(chunkFiles?.files?.length) &&
+                chunkFiles.files.every(file => fs.existsSync(join(chunkFiles.outputDir, file)));
+        },
+
         async earlyTermination() {
             const TIMEOUT_SECONDS = this.timeout_seconds;
             const EARLY_TERMINATION_SECONDS = 2; // 2 seconds before timeout
@@ -136,11 +147,29 @@ export default {
 				fs.existsSync(this.chunkDir)
 			) {
 				console.log(`Cleaning up ${this.chunkDir}...`);
-				await execAsync(`rm -rf "${this.chunkDir}"`);
+				// Also removes working files kept beside the chunks, e.g. chunks-<id>-trimmed.m4a
+				await execAsync(`rm -rf "${this.chunkDir}" "${this.chunkDir}"-*`);
 			} else if (!this.direct_upload) {
 				console.log(`Directory ${this.chunkDir} does not exist.`);
 			}
 		},
+        async writeCaptionFiles(captions, fileName) {
+            // Saves each caption format in a folder for this run, e.g. /tmp/captions-<id>/my-meeting.srt,
+            // so batch files that share a name don't overwrite each other's captions
+            const baseName = fileName.replace(/\.\w+$/, "").replace(/[\?$#&\{\}\[\]<>\*!@:\+\\\/]/g, "") || "transcript";
+            const captionDir = join("/tmp", "captions-" + this.steps.trigger.context.id);
+            await fs.promises.mkdir(captionDir, { recursive: true });
+            const files = {};
+
+            for (const [format, content] of Object.entries(captions)) {
+                const path = join(captionDir, `${baseName}.${format}`);
+                await fs.promises.writeFile(path, format === "json" ? JSON.stringify(content, null, 2) : content);
+                files[format] = path;
+            }
+
+            console.log(`Saved caption files: ${Object.values(files).join(", ")}`);
+            return files;
+        },
         async downloadToTmp(fileLink, filePath, fileName) {
 			try {
 				// Define the mimetype
@@ -175,7 +204,7 @@ export default {
 				console.log(results);
 				return results;
 			} catch (error) {
-				throw new Error(`Failed to download file: ${error.message}`);
+				throw this.reportError(error, { provider: "dropbox", action: "Failed to download file" });
 			}
 		}
     }
@@ -2,13 +2,14 @@ import googleDrive from "@pipedream/google_drive";
 import fs from "fs";
 import stream from "stream";
 import { promisify } from "util";
+import errors from "./errors.mjs";
 
 export default {
 	name: "Google Drive – File Download",
 	description:
 		"Downloads a file from Google Drive (using a stream) and saves it to /tmp/.",
 	key: "google-drive-download",
-	version: "0.0.3",
+	version: "0.0.4",
 	type: "action",
 	props: {
 		googleDrive,
@@ -18,6 +19,9 @@ export default {
 			description: `This property simply passes data from the previous step(s) in the workflow to this step. It should be pre-filled with a default value of **{{steps}}**, and you shouldn't need to change it.\n\n**In this step, you can simply hit Test below, then hit Continue.** The action will download your audio file to temp storage from Google Drive, allowing the next step to send it off for transcription.`,
 		},
 	},
+	methods: {
+		...errors.methods,
+	},
 	async run({ $ }) {
 		const tmpFilePath = `/tmp/${this.steps.trigger.event.name}`;
 
@@ -74,7 +78,9 @@ export default {
 				console.error("Failed to delete file:", deleteError);
 			}
 
-			throw error;
+			const actionable = this.toActionableError(error, { provider: "google_drive" });
+			$.export("$summary", this.getErrorSummary(actionable));
+			throw actionable;
 		}
 	},
 };
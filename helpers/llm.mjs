@@ -27,99 +27,145 @@ export default {
             log_success = `Request received successfully.`,
             log_failure = (attempt, error) => `Attempt ${attempt} failed with error: ${error.message}. Retrying...`
         }) {
-            return retry(
-                async (bail, attempt) => {
-                    console.log(log_action(attempt));
+            // The requested service is always tried first, followed by any configured fallbacks
+            const providerChain = [{ service, model }];
+            for (const link of (this.ai_chain || []).slice(1)) {
+                if (!providerChain.some(existing => existing.service === link.service && existing.model === link.model)) {
+                    providerChain.push(link);
+                }
+            }
 
-                    let response;
+            const providerErrors = [];
+            let lastError;
 
-                    try {
-                        switch (service.toLowerCase()) {
-                            case "openai":
-                                response = await this.requestOpenAI({
-                                    model,
-                                    prompt,
-                                    systemMessage,
-                                    temperature
-                                });
-                                break;
-                            case "groqcloud":
-                                response = await this.requestGroq({
-                                    model,
-                                    prompt,
-                                    systemMessage,
-                                    temperature
-                                });
-                                break;
-                            case "anthropic":
-                                response = await this.requestAnthropic({
-                                    model,
-                                    prompt,
-                                    systemMessage,
-                                    temperature
-                                });
-                                break;
-                            case "google_gemini":
-                                response = await this.requestGoogle({
-                                    model,
-                                    prompt,
-                                    systemMessage,
-                                    temperature
-                                });
-                                break;
-                            case "cerebras":
-                                response = await this.requestCerebras({
-                                    model,
-                                    prompt,
-                                    systemMessage,
-                                    temperature
-                                });
-                                break;
-                            default:
-                                throw new Error(`Unsupported LLM service: ${service}`);
-                        }
+            for (const [index, link] of providerChain.entries()) {
+                if (index > 0) {
+                    console.log(`Falling back to ${link.service} (${link.model})...`);
+                }
 
-                        return this.unifyLLMResponse(response, service);
-                    } catch (error) {
-                        // If this is the last retry attempt, create an error response instead of throwing
-                        if (attempt === 3) {
-                            console.error(`All retry attempts failed for ${service}. Creating error response.`);
-                            console.error(`Final error: ${error.message}`);
-                            
-                            // Create a response object that exactly matches the unified format
-                            return {
-                                id: `error-${Date.now()}`,
-                                model: model,
-                                provider: service,
-                                content: JSON.stringify({
-                                    title: "Error in processing",
-                                    summary: `An error occurred while processing this section: ${error.message}`,
-                                    main_points: [],
-                                    action_items: [],
-                                    stories: [],
-                                    references: [],
-                                    arguments: [],
-                                    follow_up: [],
-                                    related_topics: []
-                                }),
-                                usage: {
-                                    prompt_tokens: 0,
-                                    completion_tokens: 0,
-                                    total_tokens: 0
+                try {
+                    const response = await retry(
+                        async (bail, attempt) => {
+                            console.log(index > 0 ? `${log_action(attempt)} (fallback: ${link.service}, ${link.model})` : log_action(attempt));
+
+                            let response;
+
+                            try {
+                                switch (link.service.toLowerCase()) {
+                                    case "openai":
+                                        response = await this.requestOpenAI({
+                                            model: link.model,
+                                            prompt,
+                                            systemMessage,
+                                            temperature
+                                        });
+                                        break;
+                                    case "groqcloud":
+                                        response = await this.requestGroq({
+                                            model: link.model,
+                                            prompt,
+                                            systemMessage,
+                                            temperature
+                                        });
+                                        break;
+                                    case "anthropic":
+                                        response = await this.requestAnthropic({
+                                            model: link.model,
+                                            prompt,
+                                            systemMessage,
+                                            temperature
+                                        });
+                                        break;
+                                    case "google_gemini":
+                                        response = await this.requestGoogle({
+                                            model: link.model,
+                                            prompt,
+                                            systemMessage,
+                                            temperature
+                                        });
+                                        break;
+                                    case "cerebras":
+                                        response = await this.requestCerebras({
+                                            model: link.model,
+                                            prompt,
+                                            systemMessage,
+                                            temperature
+                                        });
+                                        break;
+                                    case "custom":
+                                        response = await this.requestCustom({
+                                            model: link.model,
+                                            prompt,
+                                            systemMessage,
+                                            temperature
+                                        });
+                                        break;
+                                    default:
+                                        throw new Error(`Unsupported LLM service: ${link.service}`);
                                 }
-                            };
+                            } catch (error) {
+                                // An invalid key or an exhausted quota won't be fixed by asking again
+                                const { category, retryable } = this.classifyError(error);
+                                if (!retryable) {
+                                    console.error(`${link.service} returned a ${category} error, which retrying won't fix.`);
+                                    bail(error);
+                                    return;
+                                }
+                                throw error;
+                            }
+
+                            return this.unifyLLMResponse(response, link.service);
+                        },
+                        {
+                            retries: 2,
+                            onRetry: (error, attempt) => {
+                                console.error(log_failure(attempt, error));
+                            },
                         }
-                        // For non-final attempts, throw the error to trigger retry
-                        throw error;
-                    }
-                },
-                {
-                    retries: 3,
-                    onRetry: (error, attempt) => {
-                        console.error(log_failure(attempt, error));
-                    },
+                    );
+
+                    return response;
+                } catch (error) {
+                    lastError = this.toActionableError(error, { provider: link.service });
+                    console.error(`All retry attempts failed for ${link.service} (${link.model}). Final error: ${lastError.message}`);
+                    providerErrors.push(`${link.service} (${link.model}): ${lastError.message}`);
                 }
-            );
+            }
+
+            if (this.ai_strict_mode === true) {
+                const chainError = new Error(`Every AI service failed to process this request, and Strict AI Mode is enabled.\n\n${providerErrors.join('\n\n')}`);
+                Object.assign(chainError, { category: lastError.category, provider: lastError.provider, fix: lastError.fix });
+                throw this.reportError(chainError);
+            }
+
+            console.error(`Every AI service failed to process this request. Creating error response.`);
+
+            // Create a response object that exactly matches the unified format. It's marked as failed so
+            // formatChat() can leave the placeholder out of the summary.
+            const lastLink = providerChain[providerChain.length - 1];
+            return {
+                id: `error-${Date.now()}`,
+                model: lastLink.model,
+                provider: lastLink.service,
+                failed: true,
+                error_message: providerErrors.join(' | '),
+                content: JSON.stringify({
+                    title: "Error in processing",
+                    summary: `An error occurred while processing this section: ${providerErrors.join(' | ')}`,
+                    main_points: [],
+                    action_items: [],
+                    stories: [],
+                    references: [],
+                    arguments: [],
+                    follow_up: [],
+                    related_topics: []
+                }),
+                usage: {
+                    prompt_tokens: 0,
+                    completion_tokens: 0,
+                    total_tokens: 0
+                }
+            };
         },
 
         async requestOpenAI({ model, prompt, systemMessage, temperature }) {
@@ -144,7 +190,7 @@ export default {
 
                 return response;
             } catch (error) {
-                throw new Error(`OpenAI request error: ${error.message}`);
+                throw new Error(`OpenAI request error: ${error.message}`, { cause: error });
             }
         },
 
@@ -170,7 +216,7 @@ export default {
 
                 return response;
             } catch (error) {
-                throw new Error(`Groq request error: ${error.message}`);
+                throw new Error(`Groq request error: ${error.message}`, { cause: error });
             }
         },
 
@@ -193,7 +239,7 @@ export default {
 
                 return response;
             } catch (error) {
-                throw new Error(`Anthropic request error: ${error.message}`);
+                throw new Error(`Anthropic request error: ${error.message}`, { cause: error });
             }
         },
 
@@ -212,7 +258,7 @@ export default {
 
                 return response;
             } catch (error) {
-                throw new Error(`Google Gemini request error: ${error.message}`);
+                throw new Error(`Google Gemini request error: ${error.message}`, { cause: error });
             }
         },
 
@@ -238,7 +284,41 @@ export default {
 
                 return response;
             } catch (error) {
-                throw new Error(`Cerebras request error: ${error.message}`);
+                throw new Error(`Cerebras request error: ${error.message}`, { cause: error });
+            }
+        },
+
+        async requestCustom({ model, prompt, systemMessage, temperature }) {
+            const baseURL = this.custom_ai_base_url.trim().replace(/\/+$/, "");
+
+            // The SDK refuses to run without an API key, even when the server ignores it
+            const openai = new OpenAI({ apiKey: this.custom_ai_api_key || "not-needed", baseURL });
+
+            try {
+                const requestParams = {
+                    model,
+                    messages: [
+                        {
+                            role: "system",
+                            content: systemMessage
+                        },
+                        {
+                            role: "user",
+                            content: prompt
+                        }
+                    ],
+                    temperature: temperature / 10 ?? 0.2
+                };
+
+                if (this.custom_ai_json_mode !== false) {
+                    requestParams.response_format = { type: "json_object" };
+                }
+
+                const response = await openai.chat.completions.create(requestParams);
+
+                return response;
+            } catch (error) {
+                throw new Error(`Custom AI server (${baseURL}) request error: ${error.message}`, { cause: error });
             }
         },
 
@@ -314,6 +394,18 @@ export default {
                         };
                         break;
 
+                    case "custom":
+                        unifiedResponse.id = response.id ?? "";
+                        unifiedResponse.model = response.model ?? "";
+                        // Reasoning models served locally often prepend a <think> block to the content
+                        unifiedResponse.content = (response.choices?.[0]?.message?.content ?? "").replace(/<think>[\s\S]*?<\/think>/g, "").trim();
+                        unifiedResponse.usage = {
+                            prompt_tokens: response.usage?.prompt_tokens ?? 0,
+                            completion_tokens: response.usage?.completion_tokens ?? 0,
+                            total_tokens: response.usage?.total_tokens ?? 0
+                        };
+                        break;
+
                     default:
                         throw new Error(`Unsupported service for response unification: ${service}`);
                 }
@@ -367,6 +459,17 @@ IMPORTANT: Do not include any explanatory text, markdown formatting, or code blo
                     log_failure: (attempt, error) => `Attempt ${attempt} for language detection failed with error: ${error.message}. Retrying...`
                 });
 
+                // Every AI service failed, so the content is only an error placeholder
+                if (response.failed) {
+                    console.error(`Language detection failed: ${response.error_message}. Returning unknown language.`);
+                    return {
+                        label: "Unknown",
+                        value: "unknown",
+                        error: true,
+                        error_message: response.error_message
+                    };
+                }
+
                 const result = this.repairJSON(response.content);
 
                 // Check if the response contains an error
@@ -382,6 +485,10 @@ IMPORTANT: Do not include any explanatory text, markdown formatting, or code blo
 
                 return result;
             } catch (error) {
+                if (this.ai_strict_mode === true) {
+                    throw new Error(`Language detection failed: ${error.message}`);
+                }
+
                 console.error(`Language detection failed with error: ${error.message}. Returning unknown language.`);
                 return {
                     label: "Unknown",
@@ -392,6 +499,72 @@ IMPORTANT: Do not include any explanatory text, markdown formatting, or code blo
             }
         },
 
+        async identifySpeakers({ service, model, utterances, maxChars = 12000 }) {
+            const speakers = [...new Set(utterances.map(utterance => utterance.speaker))].sort((a, b) => a - b);
+
+            // Only the opening of the conversation is sent; introductions and greetings usually happen early
+            let excerpt = "";
+            for (const utterance of utterances) {
+                const line = `Speaker ${utterance.speaker}: ${utterance.text}\n`;
+                if (excerpt.length + line.length > maxChars) break;
+                excerpt += line;
+            }
+
+            const systemMessage = `You are a speaker identification service. The user will send part of a transcript in which each line starts with a speaker label (e.g. "Speaker 0:"). Your ONLY task is to infer each speaker's real name from context, such as introductions ("Hi, I'm Alice"), direct address ("Thanks, Bob"), or self-references.
+
+Return a valid JSON object with a single "speakers" property, which is an array containing one object for each of these speakers: ${speakers.map(speaker => `Speaker ${speaker}`).join(", ")}.
+
+Each object must have exactly these properties:
+1. "speaker": The speaker number as an integer (e.g. 0)
+2. "name": The inferred name, or null if it cannot be determined
+3. "confidence": A number between 0 and 1 indicating how certain you are
+4. "evidence": A short quote from the transcript that supports the name, or null
+
+IMPORTANT RULES:
+- Only use names that appear in the transcript. Never guess or invent a name.
+- If a name is mentioned but it's unclear which speaker it belongs to, set "name" to null.
+- Return ONLY the JSON object, nothing else
+
+Example valid response: {"speakers": [{"speaker": 0, "name": "Alice", "confidence": 0.9, "evidence": "Thanks for having me, Bob."}, {"speaker": 1, "name": "Bob", "confidence": 0.8, "evidence": "Welcome, Alice."}]}
+
+IMPORTANT: Do not include any explanatory text, markdown formatting, or code blocks.`;
+
+            try {
+                const response = await this.llmRequest({
+                    service,
+                    model,
+                    prompt: excerpt,
+                    systemMessage,
+                    temperature: 0,
+                    log_action: (attempt) => `Attempt ${attempt}: Identifying speakers using ${service}`,
+                    log_success: "Speakers identified successfully.",
+                    log_failure: (attempt, error) => `Attempt ${attempt} for speaker identification failed with error: ${error.message}. Retrying...`
+                });
+
+                const result = this.repairJSON(response.content);
+
+                if (!Array.isArray(result.speakers)) {
+                    throw new Error("Response does not contain a 'speakers' array.");
+                }
+
+                return result.speakers
+                    .filter(entry => speakers.includes(Number(entry.speaker)) && typeof entry.name === "string" && entry.name.trim() !== "")
+                    .map(entry => ({
+                        speaker: Number(entry.speaker),
+                        name: entry.name.trim(),
+                        confidence: Math.max(0, Math.min(1, Number(entry.confidence) || 0)),
+                        evidence: entry.evidence ?? null
+                    }));
+            } catch (error) {
+                if (this.ai_strict_mode === true) {
+                    throw new Error(`Speaker identification failed: ${error.message}`);
+                }
+
+                console.error(`Speaker identification failed with error: ${error.message}. Continuing without AI-identified speaker names.`);
+                return [];
+            }
+        },
+
         async translateParagraphs({
             service,
             model,
@@ -426,6 +599,9 @@ IMPORTANT: Do not include any explanatory text, markdown formatting, or code blo
                     // This ensures we stay well under their rate limits
                     maxConcurrent = 1;
                     minTime = 2000; // 2 seconds between requests
+                } else if (this.ai_service === "custom") {
+                    // A local server usually runs one model instance, so requests mostly queue anyway
+                    maxConcurrent = 4;
                 }
 
                 const limiter = new Bottleneck({
@@ -530,6 +706,11 @@ Rules:
                         total_tokens: results.reduce((total, item) => total + item.usage.total_tokens, 0)
                     },
                     model: results[0].model,
+                    providers: results.map((result, index) => ({
+                        chunk: index,
+                        provider: result.provider,
+                        model: result.model
+                    })),
                 };
 
                 console.log(`Translated ${stringsArray.length} paragraphs successfully.`);
@@ -568,6 +749,8 @@ Rules:
                     // This ensures we stay well under their rate limits
                     maxConcurrent = 1;
                     minTime = 2000; // 2 seconds between requests
+                } else if (this.ai_service === "custom") {
+                    maxConcurrent = 4;
                 }
 
                 const limiter = new Bottleneck({
@@ -686,6 +869,11 @@ Rules for key terms:
                         total_tokens: results.reduce((total, item) => total + item.usage.total_tokens, 0)
                     },
                     model: results[0].model,
+                    providers: results.map((result, index) => ({
+                        chunk: index,
+                        provider: result.provider,
+                        model: result.model
+                    })),
                 };
 
                 console.log(`Cleaned up ${stringsArray.length} paragraphs successfully.`);
@@ -765,6 +953,8 @@ Rules for key terms:
                 } else if (this.ai_service === "cerebras") {
                     maxConcurrent = 1;
                     minTime = 2000;
+                } else if (this.ai_service === "custom") {
+                    maxConcurrent = 4;
                 }
                 
                 const limiter = new Bottleneck({
@@ -809,7 +999,8 @@ Rules for key terms:
 
                         // If we have a first chunk response, add its context to the system message
                         let previousContext = "";
-                        if (firstChunkResponse) {
+                        // A failed first chunk only holds an error placeholder, so it gives no context
+                        if (firstChunkResponse && !firstChunkResponse.failed) {
                             const firstChunkContent = this.repairJSON(firstChunkResponse.content);
                             previousContext = firstChunkContent.summary || "";
                         }
@@ -931,10 +1122,18 @@ You are set to JSON mode. Only return valid JSON in the requested format.`;
                     console.warn(`Error response detected in custom prompt: ${content.summary}`);
                     return "There was a problem generating the section from your custom prompt. See the Logs section of this Pipedream workflow run for more detail. Workflow is continuing in order to ensure you get the transcript and other requested sections.";
                 } else {
+                    if (this.ai_strict_mode === true) {
+                        throw new Error("Response does not contain expected 'markdown' property.");
+                    }
+
                     console.warn("Response does not contain expected 'markdown' property.");
                     return "The custom prompt response was not in the expected format. Workflow is continuing in order to ensure you get the transcript and other requested sections.";
                 }
             } catch (error) {
+                if (this.ai_strict_mode === true) {
+                    throw new Error(`An error occurred while generating the custom prompt section: ${error.message}`);
+                }
+
                 console.warn(`Error sending transcript with custom prompt to ${service}: ${error.message}. Returning error string.`);
                 return "There was a problem generating the section from your custom prompt. See the Logs section of this Pipedream workflow run for more detail. Workflow is continuing in order to ensure you get the transcript and other requested sections."
             }
@@ -945,6 +1144,12 @@ You are set to JSON mode. Only return valid JSON in the requested format.`;
             console.log(`Formatting the LLM results...`);
             
             for (let result of summaryArray) {
+                // Failed chunks only hold an error placeholder, so they're reported instead of summarized
+                if (result.failed) {
+                    console.warn(`Leaving a failed chunk out of the summary: ${result.error_message}`);
+                    continue;
+                }
+
                 const response = {
                     choice: this.repairJSON(result.content),
                     usage: result.usage.total_tokens || 0,
@@ -986,15 +1191,22 @@ Rules:
                         log_failure: (attempt, error) => `Attempt ${attempt} for title generation failed: ${error.message}. Retrying...`
                     });
 
-                    const titleContent = this.repairJSON(titleResponse.content);
+                    // A failed request only holds the "Error in processing" placeholder, which mustn't become the title
+                    const titleContent = titleResponse.failed ? null : this.repairJSON(titleResponse.content);
                     if (titleContent && titleContent.title) {
                         AI_generated_title = titleContent.title.trim();
                         console.log(`Title generated successfully: ${AI_generated_title}`);
+                    } else if (titleResponse.failed) {
+                        console.error(`Title generation failed: ${titleResponse.error_message}. Using fallback title: ${AI_generated_title}`);
                     } else {
                         console.error(`Invalid title response format. Using fallback title: ${AI_generated_title}`);
                     }
                 }
             } catch (error) {
+                if (this.ai_strict_mode === true) {
+                    throw error;
+                }
+
                 console.error(`Error generating title from complete summary: ${error.message}. Using fallback title: ${AI_generated_title}`);
             }
 
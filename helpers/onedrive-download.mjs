@@ -2,6 +2,7 @@ import axios from "axios";
 import fs from "fs";
 import stream from "stream";
 import { promisify } from "util";
+import errors from "./errors.mjs";
 
 const pipeline = promisify(stream.pipeline);
 
@@ -9,7 +10,7 @@ export default {
     name: "Microsoft OneDrive – File Download",
     description: "Downloads a file from Microsoft OneDrive (using a stream) and saves it to /tmp/.",
     key: "ms-onedrive-download",
-    version: "0.0.2",
+    version: "0.0.3",
     type: "action",
 	props: {
 		microsoft_onedrive: {
@@ -22,6 +23,9 @@ export default {
             description: `This property simply passes data from the previous step(s) in the workflow to this step. It should be pre-filled with a default value of **{{steps}}**, and you shouldn't need to change it.`,
         },
 	},
+	methods: {
+		...errors.methods,
+	},
 	async run({ $ }) {
 		const tmpFilePath = `/tmp/${this.steps.trigger.event.name}`;
 		try {
@@ -77,7 +81,9 @@ export default {
 				console.error("Failed to delete file:", deleteError);
 			}
 
-			throw error;
+			const actionable = this.toActionableError(error, { provider: "onedrive" });
+			$.export("$summary", this.getErrorSummary(actionable));
+			throw actionable;
 		}
 	},
 };
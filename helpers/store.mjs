@@ -0,0 +1,181 @@
+// Node.js utils
+import fs from "fs"; // File system
+import { join, dirname } from "path"; // Path handling
+import { createHash } from "crypto"; // Content hashing
+
+const TMP_STORE_DIR = "/tmp/transcribe-summarize-cache";
+const DATA_STORE_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+// Pending writes for each cache file. Kept at module level so batch files, which each get their own copy of the step, share one queue per file.
+const fileWriteQueues = new Map();
+
+export default {
+    methods: {
+        getStore() {
+            if (this.cacheStore !== undefined) {
+                return this.cacheStore;
+            }
+
+            const backend = this.advanced_options === true ? this.cache_backend ?? "none" : "none";
+
+            switch (backend) {
+                case "none":
+                    this.cacheStore = null;
+                    break;
+                case "tmp":
+                    this.cacheStore = {
+                        name: "tmp",
+                        get: async (key) => {
+                            const path = join(TMP_STORE_DIR, `${key}.json`);
+                            if (!fs.existsSync(path)) return undefined;
+                            return JSON.parse(await fs.promises.readFile(path, "utf8"));
+                        },
+                        set: async (key, value) => {
+                            await fs.promises.mkdir(TMP_STORE_DIR, { recursive: true });
+                            // Write to a temp file first so a crash can't leave half an entry behind
+                            const path = join(TMP_STORE_DIR, `${key}.json`);
+                            await fs.promises.writeFile(`${path}.partial`, JSON.stringify(value));
+                            await fs.promises.rename(`${path}.partial`, path);
+                        },
+                    };
+                    break;
+                case "data_store":
+                    if (!this.cache_data_store) {
+                        throw new Error(`Cache Storage is set to Pipedream Data Store, but no Data Store is selected. Please choose a Data Store in the Cache Data Store property, or change Cache Storage.`);
+                    }
+                    this.cacheStore = {
+                        name: "data_store",
+                        get: async (key) => await this.cache_data_store.get(key),
+                        set: async (key, value) => await this.cache_data_store.set(key, value, { ttl: DATA_STORE_TTL_SECONDS }),
+                    };
+                    break;
+                case "file": {
+                    if (!this.cache_file_path) {
+                        throw new Error(`Cache Storage is set to Local File, but no Cache File Path was provided.`);
+                    }
+                    const path = this.cache_file_path;
+                    const readAll = async () => fs.existsSync(path)
+                        ? JSON.parse(await fs.promises.readFile(path, "utf8"))
+                        : {};
+
+                    this.cacheStore = {
+                        name: "file",
+                        get: async (key) => {
+                            await fileWriteQueues.get(path);
+                            return (await readAll())[key];
+                        },
+                        set: (key, value) => {
+                            // Chunks finish in parallel, so writes are queued to avoid one overwriting another
+                            const write = (fileWriteQueues.get(path) ?? Promise.resolve()).catch(() => {}).then(async () => {
+                                const entries = await readAll();
+                                entries[key] = value;
+                                await fs.promises.mkdir(dirname(path), { recursive: true });
+                                await fs.promises.writeFile(path, JSON.stringify(entries));
+                            });
+                            fileWriteQueues.set(path, write);
+                            return write;
+                        },
+                    };
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported cache storage: ${backend}`);
+            }
+
+            return this.cacheStore;
+        },
+
+        async readFromStore(key) {
+            const store = this.getStore();
+            if (!store) return undefined;
+
+            // A broken cache should never fail the run, so errors are logged and treated as a miss
+            try {
+                return await store.get(key) ?? undefined;
+            } catch (error) {
+                console.warn(`Failed to read ${key} from the ${store.name} cache: ${error.message}`);
+                return undefined;
+            }
+        },
+
+        async writeToStore(key, value) {
+            const store = this.getStore();
+            if (!store) return false;
+
+            try {
+                await store.set(key, value);
+                return true;
+            } catch (error) {
+                console.warn(`Failed to write ${key} to the ${store.name} cache: ${error.message}`);
+                return false;
+            }
+        },
+
+        async hashFile(filePath) {
+            const hash = createHash("sha256");
+            for await (const data of fs.createReadStream(filePath)) {
+                hash.update(data);
+            }
+            return hash.digest("hex");
+        },
+
+        getSettingsFingerprint(settings) {
+            return createHash("sha256").update(JSON.stringify(settings)).digest("hex");
+        },
+
+        getCheckpointKey(runKey) {
+            return `checkpoint-${createHash("sha256").update(String(runKey)).digest("hex")}`;
+        },
+
+        async loadCheckpoint({ runKey, fingerprint }) {
+            const key = this.getCheckpointKey(runKey);
+            const checkpoint = await this.readFromStore(key);
+
+            if (!checkpoint) {
+                console.log(`No checkpoint found for run key ${runKey}. Starting from the beginning.`);
+                return null;
+            }
+
+            if (checkpoint.fingerprint !== fingerprint) {
+                console.log(`Found a checkpoint for run key ${runKey}, but this step's settings have changed since it was saved. Starting from the beginning.`);
+                return null;
+            }
+
+            console.log(`Found a checkpoint for run key ${runKey}. The ${checkpoint.stage} stage was completed at ${checkpoint.updated_at}.`);
+            return checkpoint;
+        },
+
+        async saveCheckpoint({ runKey, fingerprint, stage, fileInfo, state }) {
+            const key = this.getCheckpointKey(runKey);
+            const saved = await this.writeToStore(key, {
+                fingerprint,
+                stage,
+                fileInfo,
+                state,
+                updated_at: new Date().toISOString(),
+            });
+
+            if (saved) {
+                console.log(`Saved checkpoint after the ${stage} stage.`);
+            }
+        },
+
+        getTranscriptionCacheKey({ audioHash, service, model }) {
+            // Everything that changes what the provider sends back is part of the key
+            const settings = {
+                audio: audioHash,
+                service,
+                model,
+                language: this.whisper_language ?? null,
+                prompt: this.whisper_prompt ?? null,
+                temperature: this.whisper_temperature ?? null,
+                keyterms: this.keyterms ?? null,
+                base_url: service === "custom" ? this.custom_transcription_base_url ?? null : null,
+                ...(this.use_native_multichannel ? { multichannel: true } : {}),
+            };
+
+            const digest = createHash("sha256").update(JSON.stringify(settings)).digest("hex");
+            return `transcript-${digest}`;
+        },
+    },
+};
@@ -19,11 +19,19 @@ export default {
                     let currentText = this.extractTextFromChunk(currentChunk);
                     let nextText = nextChunk ? this.extractTextFromChunk(nextChunk) : null;
 
-                    // Handle sentence boundaries
-                    if (nextText && this.endsWithSentence(currentText) && this.startsWithLowerCase(nextText)) {
+                    // Handle sentence boundaries (overlapping chunks are stitched by mergeOverlappingText instead)
+                    if (nextText && !(nextChunk.chunk_overlap > 0) && this.endsWithSentence(currentText) && this.startsWithLowerCase(nextText)) {
                         currentText = currentText.slice(0, -1);
                     }
 
+                    if (i > 0 && currentChunk.chunk_overlap > 0) {
+                        combinedText = this.mergeOverlappingText(combinedText.trim(), currentText, currentChunk.chunk_overlap);
+                        if (i < chunksArray.length - 1) {
+                            combinedText += " ";
+                        }
+                        continue;
+                    }
+
                     // Add space between chunks if not the last chunk
                     if (i < chunksArray.length - 1) {
                         currentText += " ";
@@ -39,6 +47,185 @@ export default {
             }
         },
 
+        /**
+         * Joins the text of two chunks that share a few seconds of audio, dropping the words both chunks transcribed.
+         * Finds the longest run of matching words between the end of the previous text and the start of the next,
+         * then keeps the first half of the run from the previous text and the rest from the next.
+         * @param {string} previousText - Combined text so far
+         * @param {string} nextText - Text of the next chunk
+         * @param {number} overlapSeconds - Length of the shared audio, used to limit how far to search
+         * @returns {string} Joined text
+         */
+        mergeOverlappingText(previousText, nextText, overlapSeconds) {
+            const previousTokens = previousText.split(/\s+/).filter(Boolean);
+            const nextTokens = nextText.split(/\s+/).filter(Boolean);
+
+            if (previousTokens.length === 0) return nextTokens.join(" ");
+            if (nextTokens.length === 0) return previousTokens.join(" ");
+
+            // Generous upper bound on how many words fit in the overlap (fast speech is ~4 words per second)
+            const maxWords = Math.max(20, Math.ceil(overlapSeconds * 6));
+            const tailStart = Math.max(0, previousTokens.length - maxWords);
+            const tail = previousTokens.slice(tailStart);
+            const head = nextTokens.slice(0, maxWords);
+
+            const normalize = (token) => token.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+            const tailNormalized = tail.map(normalize);
+            const headNormalized = head.map(normalize);
+
+            // Longest common run of words (dynamic programming over the two short windows)
+            let bestLength = 0;
+            let bestTailEnd = 0;
+            let bestHeadEnd = 0;
+            let previousRow = new Array(head.length + 1).fill(0);
+            for (let i = 1; i <= tail.length; i++) {
+                const row = new Array(head.length + 1).fill(0);
+                for (let j = 1; j <= head.length; j++) {
+                    if (tailNormalized[i - 1] && tailNormalized[i - 1] === headNormalized[j - 1]) {
+                        row[j] = previousRow[j - 1] + 1;
+                        if (row[j] > bestLength) {
+                            bestLength = row[j];
+                            bestTailEnd = i;
+                            bestHeadEnd = j;
+                        }
+                    }
+                }
+                previousRow = row;
+            }
+
+            if (bestLength < 2) {
+                console.warn(`Could not align overlapping chunk text (no matching words found). Joining chunks without de-duplication.`);
+                return `${previousTokens.join(" ")} ${nextTokens.join(" ")}`;
+            }
+
+            const keepFromPrevious = Math.ceil(bestLength / 2);
+            const previousCut = tailStart + (bestTailEnd - bestLength) + keepFromPrevious;
+            const nextCut = (bestHeadEnd - bestLength) + keepFromPrevious;
+
+            console.log(`Aligned overlapping chunks on ${bestLength} matching words. Dropped ${previousTokens.length - previousCut} words from the end of the previous chunk and ${nextCut} words from the start of the next.`);
+
+            return [...previousTokens.slice(0, previousCut), ...nextTokens.slice(nextCut)].join(" ");
+        },
+
+        /**
+         * Gets the seam times (in seconds) where overlapping chunks hand over to each other.
+         * Each seam is the midpoint of the audio that two neighbouring chunks share.
+         * @param {Array} chunksArray - Array of transcript chunks with chunk_offset and chunk_overlap (seconds)
+         * @returns {Array<number|null>} Seam before each chunk, or null if the chunk doesn't overlap the previous one
+         */
+        getChunkSeams(chunksArray) {
+            return chunksArray.map((chunk, index) =>
+                index > 0 && chunk?.chunk_overlap > 0
+                    ? (chunk.chunk_offset || 0) + chunk.chunk_overlap / 2
+                    : null
+            );
+        },
+
+        /**
+         * Converts a time in audio that had its silences removed back to the same moment in the original recording
+         * @param {number} seconds - Time in the trimmed audio
+         * @param {Array|null} timeMap - Kept segments ({ trimmed_start, original_start, duration }) from trimSilences, in order
+         * @param {boolean} [isEnd=false] - Whether this is the end of a span. An end that falls exactly on a cut belongs to
+         * the segment before it, so the span doesn't stretch across the removed silence.
+         * @returns {number} Time in the original recording, rounded to milliseconds
+         */
+        mapToOriginalTime(seconds, timeMap, isEnd = false) {
+            if (!Array.isArray(timeMap) || timeMap.length === 0) return seconds;
+
+            let low = 0;
+            let high = timeMap.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                const start = timeMap[middle].trimmed_start;
+                if (isEnd ? start < seconds : start <= seconds) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+
+            const segment = timeMap[low];
+            return Math.round((segment.original_start + Math.max(0, seconds - segment.trimmed_start)) * 1000) / 1000;
+        },
+
+        /**
+         * Combines per-chunk confidence scores into a single list with timestamps relative to the full file.
+         * Where chunks overlap, each span is kept only by the chunk on its side of the seam.
+         * @param {Array} chunksArray - Array of transcript chunks with confidence_spans and chunk_offset (seconds)
+         * @param {Array|null} [timeMap=null] - Time map from trimSilences, if silences were removed before transcription
+         * @returns {Array|null} Combined spans ({ text, start, end, confidence }), or null if no chunk has confidence scores
+         */
+        combineConfidenceSpans(chunksArray, timeMap = null) {
+            const spans = this.combineChunkSpans(chunksArray, chunk => chunk?.confidence_spans, timeMap);
+            return spans && spans.map(span => ({ ...span, confidence: Math.round(span.confidence * 1000) / 1000 }));
+        },
+
+        /**
+         * Combines timed spans from each chunk into a single list with timestamps relative to the full file.
+         * Where chunks overlap, each span is kept only by the chunk on its side of the seam.
+         * @param {Array} chunksArray - Array of transcript chunks with chunk_offset (seconds)
+         * @param {Function} getSpans - Returns a chunk's spans ({ text, start, end, ... }), with times in seconds
+         * @param {Array|null} [timeMap=null] - Time map from trimSilences, if silences were removed before transcription
+         * @returns {Array|null} Combined spans, or null if no chunk has any
+         */
+        combineChunkSpans(chunksArray, getSpans, timeMap = null) {
+            if (!chunksArray.some(chunk => Array.isArray(getSpans(chunk)) && getSpans(chunk).length > 0)) {
+                return null;
+            }
+
+            const round = (seconds) => Math.round(seconds * 1000) / 1000;
+            const seams = this.getChunkSeams(chunksArray);
+
+            return chunksArray.flatMap((chunk, index) => {
+                const offset = chunk?.chunk_offset || 0;
+                const seamBefore = seams[index];
+                const seamAfter = index < chunksArray.length - 1 ? seams[index + 1] : null;
+
+                return (getSpans(chunk) || [])
+                    .map(span => ({
+                        ...span,
+                        start: round(span.start + offset),
+                        end: round(span.end + offset),
+                    }))
+                    .filter(span =>
+                        (seamBefore === null || span.start >= seamBefore) &&
+                        (seamAfter === null || span.start < seamAfter)
+                    )
+                    .map(span => timeMap ? {
+                        ...span,
+                        start: this.mapToOriginalTime(span.start, timeMap),
+                        end: this.mapToOriginalTime(span.end, timeMap, true),
+                    } : span);
+            });
+        },
+
+        /**
+         * Picks out the spans that are worth flagging for proofreading. Each span keeps its position in its
+         * channel's list as `index`, so spans that sit next to each other can be merged into one phrase later.
+         * Channels are numbered in separate ranges, so words from different speakers never look like neighbours.
+         * @param {Array} spans - Combined spans from combineConfidenceSpans, with `channel` set on multichannel runs
+         * @param {number} [ceiling=0.9] - Spans with confidence below this value are kept
+         * @returns {Array} Low-confidence spans ({ index, text, start, end, confidence }) sorted by start time
+         */
+        getLowConfidenceSpans(spans, ceiling = 0.9) {
+            const channels = [...new Set(spans.map(span => span.channel ?? 0))];
+            const lowConfidence = [];
+            let offset = 0;
+
+            for (const channel of channels) {
+                const channelSpans = spans.filter(span => (span.channel ?? 0) === channel);
+                channelSpans.forEach((span, index) => {
+                    if (span.confidence < ceiling) {
+                        lowConfidence.push({ index: offset + index, ...span });
+                    }
+                });
+                // Leave a gap so the last word of one channel isn't next to the first word of the next
+                offset += channelSpans.length + 1;
+            }
+
+            return channels.length > 1 ? lowConfidence.sort((a, b) => a.start - b.start) : lowConfidence;
+        },
+
         /**
          * Extracts text from a chunk based on the service type
          * @param {Object} chunk - Transcript chunk from any supported service
@@ -85,10 +272,11 @@ export default {
 
         /**
          * Combines VTT objects from transcript chunks into a single coherent VTT file
-         * @param {Array} chunksArray - Array of transcript chunks containing VTT data
+         * @param {Array} chunksArray - Array of transcript chunks containing VTT data and an optional chunk_offset (seconds)
+         * @param {Array|null} [timeMap=null] - Time map from trimSilences, if silences were removed before transcription
          * @returns {string} Combined VTT content
          */
-        async combineVTTChunks(chunksArray) {
+        async combineVTTChunks(chunksArray, timeMap = null) {
             console.log(`Combining ${chunksArray.length} VTT/SRT chunks...`);
 
             try {
@@ -98,8 +286,11 @@ export default {
                 // Helper to detect timestamp lines
                 const isTimestampLine = (line) => /\d{2}:\d{2}:\d{2}[.,]\d{3}\s*--\>\s*\d{2}:\d{2}:\d{2}[.,]\d{3}/.test(line);
 
+                const seams = this.getChunkSeams(chunksArray);
+
                 for (let i = 0; i < chunksArray.length; i++) {
                     const chunk = chunksArray[i];
+                    const offsetMs = Math.round((chunk.chunk_offset || 0) * 1000);
                     let content = null;
                     if (chunk.vtt) {
                         content = chunk.vtt;
@@ -156,6 +347,10 @@ export default {
                         if (isTimestampLine(line)) {
                             // Convert SRT-style commas to VTT-style periods for VTT output
                             line = line.replace(/,/g, '.');
+                            // Shift chunk-relative times so they're relative to the start of the full file
+                            if (offsetMs > 0) {
+                                line = line.replace(/\d{2}:\d{2}:\d{2}\.\d{3}/g, (time) => this.adjustVTTTime(time, offsetMs));
+                            }
                             if (currentSegment.length > 0) {
                                 segments.push([...currentSegment]);
                                 currentSegment = [];
@@ -169,6 +364,29 @@ export default {
                     if (currentSegment.length > 0) {
                         segments.push([...currentSegment]);
                     }
+
+                    // Where chunks overlap, each cue is kept only by the chunk on its side of the seam
+                    const seamBefore = seams[i];
+                    const seamAfter = i < chunksArray.length - 1 ? seams[i + 1] : null;
+                    if (seamBefore !== null || seamAfter !== null) {
+                        segments = segments.filter(segment => {
+                            const startTime = segment[0]?.split('-->')[0]?.trim();
+                            if (!startTime || !isTimestampLine(segment[0])) return true;
+                            const start = this.parseVTTTime(startTime) / 1000;
+                            return (seamBefore === null || start >= seamBefore) && (seamAfter === null || start < seamAfter);
+                        });
+                    }
+
+                    // Seams are in the trimmed timeline, so cues are only moved back to the original timeline after filtering
+                    if (timeMap) {
+                        const mapTime = (time, isEnd) => this.formatVTTTime(Math.round(this.mapToOriginalTime(this.parseVTTTime(time) / 1000, timeMap, isEnd) * 1000));
+                        segments = segments.map(segment => segment.map(line => {
+                            if (!isTimestampLine(line)) return line;
+                            let index = 0;
+                            return line.replace(/\d{2}:\d{2}:\d{2}\.\d{3}/g, (time) => mapTime(time, index++ > 0));
+                        }));
+                    }
+
                     // Add to allSegments
                     allSegments.push(...segments);
                 }
@@ -188,6 +406,324 @@ export default {
             }
         },
 
+        /**
+         * Combines the normalized speaker utterances from each chunk, shifting their times by each chunk's offset
+         * @param {Array} chunksArray - Array of transcript chunks, each with optional utterances and chunk_offset (seconds)
+         * @param {Array|null} [timeMap=null] - Time map from trimSilences, if silences were removed before transcription
+         * @returns {Array|null} Utterances ({ speaker, start, end, text, confidence }) for the full file, or null if no chunk had any
+         */
+        combineUtterances(chunksArray, timeMap = null) {
+            if (!chunksArray.some(chunk => Array.isArray(chunk?.utterances) && chunk.utterances.length > 0)) {
+                return null;
+            }
+
+            console.log(`Combining speaker utterances from ${chunksArray.length} chunks...`);
+
+            if (chunksArray.length > 1) {
+                console.warn("Speaker numbers are assigned separately for each chunk, so the same person may have different speaker numbers in different parts of the transcript. Disable chunking to keep them consistent.");
+            }
+
+            const round = (seconds) => Math.round(seconds * 1000) / 1000;
+            const seams = this.getChunkSeams(chunksArray);
+
+            return chunksArray.flatMap((chunk, index) => {
+                const offset = chunk?.chunk_offset || 0;
+                const seamBefore = seams[index];
+                const seamAfter = index < chunksArray.length - 1 ? seams[index + 1] : null;
+
+                return (chunk?.utterances || [])
+                    .map(utterance => ({
+                        ...utterance,
+                        start: round(utterance.start + offset),
+                        end: round(utterance.end + offset),
+                    }))
+                    .filter(utterance =>
+                        (seamBefore === null || utterance.start >= seamBefore) &&
+                        (seamAfter === null || utterance.start < seamAfter)
+                    )
+                    .map(utterance => timeMap ? {
+                        ...utterance,
+                        start: this.mapToOriginalTime(utterance.start, timeMap),
+                        end: this.mapToOriginalTime(utterance.end, timeMap, true),
+                    } : utterance);
+            });
+        },
+
+        /**
+         * Groups transcript chunks by the audio channel they were transcribed from, keeping their original order
+         * @param {Array} chunksArray - Array of transcript chunks, each with an optional channel number
+         * @returns {Array} Array of { channel, responses }, with a single group (channel undefined) if no chunk has a channel
+         */
+        groupByChannel(chunksArray) {
+            const groups = new Map();
+            for (const chunk of chunksArray) {
+                if (!groups.has(chunk?.channel)) {
+                    groups.set(chunk?.channel, []);
+                }
+                groups.get(chunk?.channel).push(chunk);
+            }
+
+            return [...groups].map(([channel, responses]) => ({ channel, responses }));
+        },
+
+        /**
+         * Interleaves separately transcribed audio channels into one conversation, using each channel as a speaker.
+         * Timing comes from each channel's utterances, then its VTT cues, then (as a last resort) its chunk offsets.
+         * @param {Array} channelResponses - Array of { channel, responses } from groupByChannel
+         * @param {Array|null} [timeMap=null] - Time map from trimSilences, if silences were removed before transcription
+         * @returns {Promise<Array>} Utterances ({ speaker, start, end, text, confidence }) sorted by start time, with speaker set to the channel number
+         */
+        async interleaveChannels(channelResponses, timeMap = null) {
+            const isTimestampLine = (line) => /\d{2}:\d{2}:\d{2}[.,]\d{3}\s*--\>\s*\d{2}:\d{2}:\d{2}[.,]\d{3}/.test(line);
+            const segments = [];
+
+            for (const { channel, responses } of channelResponses) {
+                let channelSegments = this.combineUtterances(responses, timeMap);
+
+                if (!channelSegments && responses.every(chunk => chunk.vtt)) {
+                    const vtt = await this.combineVTTChunks(responses, timeMap);
+                    channelSegments = vtt.split("\n\n").map(cue => {
+                        const lines = cue.split("\n").map(line => line.trim());
+                        const timeIndex = lines.findIndex(isTimestampLine);
+                        if (timeIndex === -1) return null;
+
+                        const [start, end] = lines[timeIndex].split("-->").map(time => this.parseVTTTime(time.trim().split(/\s+/)[0].replace(",", ".")) / 1000);
+                        const text = lines.slice(timeIndex + 1).join(" ").replace(/^Speaker \d+:\s*/i, "").trim();
+                        return { start, end, text, confidence: null };
+                    }).filter(segment => segment && segment.text);
+                }
+
+                if (!channelSegments) {
+                    console.warn(`Channel ${channel} has no timestamps, so its text is placed at the start of each chunk.`);
+                    channelSegments = responses.map(chunk => ({
+                        start: this.mapToOriginalTime(chunk.chunk_offset || 0, timeMap),
+                        end: this.mapToOriginalTime(chunk.chunk_offset || 0, timeMap),
+                        text: this.extractTextFromChunk(chunk).trim(),
+                        confidence: null
+                    })).filter(segment => segment.text);
+                }
+
+                segments.push(...channelSegments.map(segment => ({ ...segment, speaker: channel })));
+            }
+
+            // Ties go to the lower channel so the order is stable
+            return segments.sort((a, b) => a.start - b.start || a.speaker - b.speaker);
+        },
+
+        /**
+         * Normalizes a user-supplied speaker mapping. Keys may be numbers ("0"), labels ("Speaker 0") or AssemblyAI-style letters ("A")
+         * @param {Object|string} speakerNames - Mapping of speaker keys to names, or a JSON string of one
+         * @returns {Object} Mapping of 0-based speaker numbers to trimmed names
+         */
+        parseSpeakerNames(speakerNames) {
+            let mapping = speakerNames;
+            if (typeof mapping === "string") {
+                try {
+                    mapping = JSON.parse(mapping);
+                } catch (error) {
+                    throw new Error(`Speaker Names must be a set of key-value pairs or a JSON object like {"0": "Alice", "1": "Bob"}. Could not parse: ${mapping}`);
+                }
+            }
+
+            const result = {};
+            if (!mapping || typeof mapping !== "object") return result;
+
+            for (const [key, name] of Object.entries(mapping)) {
+                if (typeof name !== "string" || name.trim() === "") continue;
+
+                const label = String(key).trim().replace(/^speaker[\s_-]*/i, "");
+                let speaker;
+                if (/^\d+$/.test(label)) {
+                    speaker = parseInt(label, 10);
+                } else if (/^[a-z]$/i.test(label)) {
+                    speaker = label.toUpperCase().charCodeAt(0) - 65;
+                } else {
+                    console.warn(`Ignoring speaker name for unrecognized speaker key "${key}".`);
+                    continue;
+                }
+
+                result[speaker] = name.trim();
+            }
+
+            return result;
+        },
+
+        /**
+         * Replaces "Speaker N" labels in a string with the mapped names
+         * @param {string} text - Text that may contain "Speaker N" labels
+         * @param {Object} names - Mapping of 0-based speaker numbers to names
+         * @returns {string} Text with names substituted
+         */
+        applySpeakerNames(text, names) {
+            if (typeof text !== "string" || !names || Object.keys(names).length === 0) return text;
+            return text.replace(/\bSpeaker (\d+)\b/g, (match, speaker) => names[speaker] ?? match);
+        },
+
+        /**
+         * Fixes near-miss spellings of custom vocabulary terms, e.g. "open ai" or "Open AI" becomes "OpenAI".
+         * Each run of words (from one fewer to one more than the term has) is compared with each term, ignoring case,
+         * spaces, and punctuation, and replaced if it's within a small edit distance. Terms of 4 or fewer letters are
+         * only corrected for case and spacing, since a single changed letter would match too many ordinary words.
+         * For the same reason, misspellings are only corrected when the transcript capitalized them like a name
+         * (so "markets" is left alone, but "Marketto" becomes "Marketo"), and never by dropping a plural "s".
+         * @param {string} text - Text to correct. Matches never span a line break, so VTT cues stay intact
+         * @param {Array<string>} terms - Vocabulary terms, spelled as they should appear
+         * @returns {Object} { text, corrections }, where corrections lists each replacement as { from, to }
+         */
+        correctVocabulary(text, terms) {
+            if (typeof text !== "string" || text.length === 0 || !Array.isArray(terms) || terms.length === 0) {
+                return { text, corrections: [] };
+            }
+
+            const normalize = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+            const maxDistance = (length) => length <= 4 ? 0 : length <= 8 ? 1 : 2;
+
+            const editDistance = (a, b) => {
+                let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+                for (let i = 1; i <= a.length; i++) {
+                    const row = [i];
+                    for (let j = 1; j <= b.length; j++) {
+                        row[j] = Math.min(
+                            previousRow[j] + 1,
+                            row[j - 1] + 1,
+                            previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                        );
+                    }
+                    previousRow = row;
+                }
+                return previousRow[b.length];
+            };
+
+            const isBetter = (score, other) => {
+                const index = score.findIndex((value, k) => value !== other[k]);
+                return index !== -1 && score[index] < other[index];
+            };
+
+            const targets = terms
+                .map(term => ({
+                    term,
+                    normalized: normalize(term),
+                    words: term.split(/\s+/).filter(Boolean).length,
+                }))
+                .filter(target => target.normalized.length >= 2);
+
+            const tokens = [...text.matchAll(/\S+/g)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+            // A capital letter only counts as a name if it isn't just the start of a sentence
+            const looksLikeName = (core, start) => {
+                const sentenceStart = /(^|[.?!:]["'”’)\]]*\s+|\n\s*)$/.test(text.slice(Math.max(0, start - 4), start)) || start === 0;
+                return /\p{Lu}/u.test(sentenceStart ? core.slice(1) : core);
+            };
+            const replacements = [];
+
+            let i = 0;
+            while (i < tokens.length) {
+                let best = null;
+
+                for (const target of targets) {
+                    const allowed = maxDistance(target.normalized.length);
+
+                    for (const size of [target.words, target.words - 1, target.words + 1]) {
+                        if (size < 1 || i + size > tokens.length) continue;
+
+                        const raw = text.slice(tokens[i].start, tokens[i + size - 1].end);
+                        if (raw.includes("\n")) continue;
+
+                        // Keep surrounding punctuation and possessives, e.g. "(open ai's)" becomes "(OpenAI's)"
+                        const leading = raw.match(/^[^\p{L}\p{N}]*/u)[0];
+                        const trailing = raw.slice(leading.length).match(/(['’]s)?[^\p{L}\p{N}]*$/u)[0];
+                        const core = raw.slice(leading.length, raw.length - trailing.length);
+
+                        // Plurals keep their "s", e.g. "deep grams" becomes "Deepgrams"
+                        const splits = [{ core, trailing, plural: false }];
+                        if (/s$/i.test(core) && !target.normalized.endsWith("s")) {
+                            splits.push({ core: core.slice(0, -1), trailing: core.slice(-1) + trailing, plural: true });
+                        }
+
+                        const start = tokens[i].start + leading.length;
+                        const fuzzyAllowed = looksLikeName(core, start) ? allowed : 0;
+
+                        for (const split of splits) {
+                            const normalized = normalize(split.core);
+                            const splitAllowed = split.plural ? 0 : fuzzyAllowed;
+
+                            if (!normalized || Math.abs(normalized.length - target.normalized.length) > splitAllowed) continue;
+                            if (normalized[0] !== target.normalized[0]) continue;
+
+                            const distance = normalized === target.normalized ? 0 : editDistance(normalized, target.normalized);
+                            if (distance > splitAllowed) continue;
+
+                            // Prefer the closest match, then the one with the same number of words as the term, then the longer term
+                            const score = [distance, size === target.words ? 0 : 1, -target.normalized.length];
+                            if (!best || isBetter(score, best.score)) {
+                                best = {
+                                    score,
+                                    size,
+                                    term: target.term,
+                                    core: split.core,
+                                    start,
+                                    end: tokens[i + size - 1].end - split.trailing.length,
+                                };
+                            }
+                        }
+                    }
+                }
+
+                if (!best) {
+                    i++;
+                    continue;
+                }
+
+                if (best.core !== best.term) {
+                    replacements.push(best);
+                }
+                i += best.size;
+            }
+
+            let corrected = text;
+            for (const replacement of [...replacements].reverse()) {
+                corrected = corrected.slice(0, replacement.start) + replacement.term + corrected.slice(replacement.end);
+            }
+
+            return {
+                text: corrected,
+                corrections: replacements.map(replacement => ({ from: replacement.core, to: replacement.term })),
+            };
+        },
+
+        /**
+         * Builds speaker-attributed transcript paragraphs from utterances, merging consecutive utterances by the same speaker
+         * @param {Array} utterances - Normalized utterances ({ speaker, start, end, text })
+         * @param {Object} names - Mapping of 0-based speaker numbers to names
+         * @param {number} maxLength - Maximum paragraph length, passed on to makeParagraphs
+         * @returns {Array<string>} Paragraphs, with the first paragraph of each turn prefixed by the speaker's name
+         */
+        makeSpeakerParagraphs(utterances, names = {}, maxLength = 1200) {
+            const turns = [];
+            for (const utterance of utterances) {
+                const last = turns[turns.length - 1];
+                if (last && last.speaker === utterance.speaker) {
+                    last.text += ` ${utterance.text}`;
+                } else {
+                    turns.push({ speaker: utterance.speaker, text: utterance.text });
+                }
+            }
+
+            const paragraphs = [];
+            for (const turn of turns) {
+                const label = names[turn.speaker] ?? `Speaker ${turn.speaker}`;
+                const text = turn.text.replace(/\s+/g, ' ').trim();
+                if (!text) continue;
+
+                // Only long turns need splitting; makeParagraphs is too chatty to run on every short turn
+                const turnParagraphs = text.length > maxLength ? this.makeParagraphs(text, maxLength) : [text];
+                turnParagraphs[0] = `${label}: ${turnParagraphs[0]}`;
+                paragraphs.push(...turnParagraphs);
+            }
+
+            return paragraphs;
+        },
+
         /**
          * Processes a single VTT segment and adjusts its timestamps
          * @param {Array} segment - Array of lines in the segment
@@ -237,7 +773,7 @@ export default {
          */
         parseVTTTime(time) {
             const [hours, minutes, seconds] = time.split(':').map(Number);
-            return (hours * 3600 + minutes * 60 + seconds) * 1000;
+            return Math.round((hours * 3600 + minutes * 60 + seconds) * 1000);
         },
 
         /**
@@ -255,6 +791,310 @@ export default {
             return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
         },
 
+        /**
+         * Parses combined VTT (or SRT) content into a list of cues
+         * @param {string} vttString - VTT content, with or without the WEBVTT header and cue numbers
+         * @returns {Array<Object>} Cues ({ index, start, end, text }) with times in seconds
+         */
+        parseVTTCues(vttString) {
+            if (!vttString || typeof vttString !== 'string') return [];
+
+            const cues = [];
+            for (const block of vttString.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+                const lines = block.split('\n').map(line => line.trim()).filter(line => line);
+                const timeIndex = lines.findIndex(line => line.includes('-->'));
+                if (timeIndex === -1) continue;
+
+                const [start, end] = lines[timeIndex].split('-->').map(time => this.parseVTTTime(time.trim().split(/\s+/)[0].replace(',', '.')) / 1000);
+                const text = lines.slice(timeIndex + 1).join('\n');
+                if (!text || !Number.isFinite(start) || !Number.isFinite(end)) continue;
+
+                cues.push({ index: cues.length + 1, start, end, text });
+            }
+
+            return cues;
+        },
+
+        /**
+         * Renders cues as an SRT file, which uses commas before the milliseconds and requires cue numbers
+         * @param {Array<Object>} cues - Cues from parseVTTCues
+         * @returns {string} SRT content
+         */
+        renderSRT(cues) {
+            const formatSRTTime = (seconds) => this.formatVTTTime(Math.round(seconds * 1000)).replace('.', ',');
+            return cues
+                .map((cue, index) => `${index + 1}\n${formatSRTTime(cue.start)} --> ${formatSRTTime(cue.end)}\n${cue.text}`)
+                .join('\n\n') + '\n';
+        },
+
+        /**
+         * Renders cues as a WebVTT file, including the WEBVTT header that the combined transcript leaves out
+         * @param {Array<Object>} cues - Cues from parseVTTCues
+         * @returns {string} WebVTT content
+         */
+        renderVTT(cues) {
+            const formatTime = (seconds) => this.formatVTTTime(Math.round(seconds * 1000));
+            return `WEBVTT\n\n${cues
+                .map((cue, index) => `${index + 1}\n${formatTime(cue.start)} --> ${formatTime(cue.end)}\n${cue.text}`)
+                .join('\n\n')}\n`;
+        },
+
+        /**
+         * Renders cues as plain text, one line per cue, prefixed with its start time
+         * @param {Array<Object>} cues - Cues from parseVTTCues
+         * @returns {string} Timestamped text, e.g. "[00:01:05] Speaker 0: Hello"
+         */
+        renderTimestampedText(cues) {
+            return cues
+                .map(cue => `[${this.formatVTTTime(Math.round(cue.start * 1000)).split('.')[0]}] ${cue.text.replace(/\n/g, ' ')}`)
+                .join('\n') + '\n';
+        },
+
+        /**
+         * Builds every caption format from a list of cues
+         * @param {Array<Object>} cues - Cues from parseVTTCues or resegmentCaptions
+         * @returns {Object|null} { vtt, srt, txt, json }, or null if there are no cues
+         */
+        buildCaptionExports(cues) {
+            if (!Array.isArray(cues) || cues.length === 0) return null;
+
+            return {
+                vtt: this.renderVTT(cues),
+                srt: this.renderSRT(cues),
+                txt: this.renderTimestampedText(cues),
+                json: cues,
+            };
+        },
+
+        /**
+         * Gets the caption limits for the Caption Style setting
+         * @returns {Object|null} Options for resegmentCaptions, or null to keep the transcription service's own cues
+         */
+        getCaptionStyle() {
+            const styles = {
+                // Common broadcast and streaming guidelines (e.g. BBC, Netflix)
+                broadcast: { maxCharsPerLine: 42, maxLines: 2, maxCharsPerSecond: 17, minDuration: 1, maxDuration: 7 },
+                // Short, fast cues for vertical video, where the frame is too narrow for long lines
+                single_line: { maxCharsPerLine: 32, maxLines: 1, maxCharsPerSecond: 20, minDuration: 0.7, maxDuration: 4 },
+            };
+
+            const style = this.advanced_options === true && this.caption_style ? this.caption_style : "broadcast";
+            return styles[style] ?? null;
+        },
+
+        /**
+         * Splits timed spans into single words for resegmentCaptions. Spans that cover several words (Whisper segments
+         * or caption cues) have their time shared out by each word's length.
+         * @param {Array} spans - Timed spans ({ text, start, end }) in seconds, in order. A "Speaker N: " label at the start of a span sets its speaker.
+         * @param {Array|null} [utterances=null] - Speaker utterances ({ speaker, start, end }), which set each word's speaker
+         * @returns {Array<Object>} Words ({ text, start, end, speaker }). Speaker is null if there's only one speaker.
+         */
+        getCaptionWords(spans, utterances = null) {
+            const round = (seconds) => Math.round(seconds * 1000) / 1000;
+            const words = [];
+
+            for (const span of spans ?? []) {
+                let text = (span.text ?? '').trim();
+                let speaker = span.speaker ?? null;
+
+                const label = text.match(/^Speaker (\d+):\s*/);
+                if (label) {
+                    speaker = Number(label[1]);
+                    text = text.slice(label[0].length);
+                }
+
+                const tokens = text.split(/\s+/).filter(Boolean);
+                if (tokens.length === 0 || !Number.isFinite(span.start) || !Number.isFinite(span.end)) continue;
+
+                const totalLength = tokens.reduce((sum, token) => sum + token.length, 0);
+                const duration = Math.max(0, span.end - span.start);
+                let position = span.start;
+                for (const token of tokens) {
+                    const end = position + duration * token.length / totalLength;
+                    words.push({ text: token, start: round(position), end: round(end), speaker });
+                    position = end;
+                }
+            }
+
+            const sortedUtterances = (utterances ?? []).filter(utterance => Number.isFinite(utterance.end)).sort((a, b) => a.start - b.start);
+            if (sortedUtterances.length > 0) {
+                let index = 0;
+                for (const word of words) {
+                    const middle = (word.start + word.end) / 2;
+                    while (index < sortedUtterances.length - 1 && sortedUtterances[index].end < middle) index++;
+                    word.speaker = sortedUtterances[index].speaker ?? null;
+                }
+            }
+
+            // Labels only help when they tell speakers apart
+            if (new Set(words.map(word => word.speaker).filter(speaker => speaker !== null)).size < 2) {
+                words.forEach(word => { word.speaker = null; });
+            }
+
+            return words;
+        },
+
+        /**
+         * Wraps caption text into lines of up to maxCharsPerLine characters, keeping the lines as even as possible.
+         * Two-line captions prefer to break after punctuation, so each line reads as a phrase.
+         * @param {string} text - Caption text
+         * @param {number} maxCharsPerLine - Maximum characters per line. A single longer word gets a line of its own.
+         * @returns {Array<string>} Lines
+         */
+        wrapCaptionLines(text, maxCharsPerLine) {
+            const tokens = text.split(/\s+/).filter(Boolean);
+            if (text.length <= maxCharsPerLine || tokens.length < 2) return [tokens.join(' ')];
+
+            const wrap = (width) => {
+                const lines = [];
+                for (const token of tokens) {
+                    const last = lines[lines.length - 1];
+                    if (last !== undefined && last.length + 1 + token.length <= width) {
+                        lines[lines.length - 1] = `${last} ${token}`;
+                    } else {
+                        lines.push(token);
+                    }
+                }
+                return lines;
+            };
+
+            const lineCount = wrap(maxCharsPerLine).length;
+
+            if (lineCount === 2) {
+                let best = null;
+                for (let i = 1; i < tokens.length; i++) {
+                    const first = tokens.slice(0, i).join(' ');
+                    const second = tokens.slice(i).join(' ');
+                    if (first.length > maxCharsPerLine || second.length > maxCharsPerLine) continue;
+                    const score = Math.abs(first.length - second.length) - (/[.?!…,;:]["'”’)\]]*$/.test(tokens[i - 1]) ? maxCharsPerLine / 3 : 0);
+                    if (!best || score < best.score) best = { score, lines: [first, second] };
+                }
+                if (best) return best.lines;
+            }
+
+            // The narrowest width that still needs no more lines evens them out
+            for (let width = Math.ceil(text.length / lineCount); width < maxCharsPerLine; width++) {
+                const lines = wrap(width);
+                if (lines.length <= lineCount) return lines;
+            }
+            return wrap(maxCharsPerLine);
+        },
+
+        /**
+         * Rebuilds caption cues from word timings, so every transcription service produces captions of the same shape.
+         * Cues end at sentence ends where possible, and a cue that's too long is split at its last sentence or clause
+         * end. Each cue is then held on screen long enough to be read, without running into the next one.
+         * @param {Array<Object>} words - Words from getCaptionWords ({ text, start, end, speaker })
+         * @param {Object} [options] - Caption limits
+         * @param {number} [options.maxCharsPerLine=42] - Maximum characters per line
+         * @param {number} [options.maxLines=2] - Maximum lines per cue
+         * @param {number} [options.maxCharsPerSecond=17] - Reading speed each cue's duration should allow for
+         * @param {number} [options.minDuration=1] - Minimum seconds a cue stays on screen
+         * @param {number} [options.maxDuration=7] - Maximum seconds a cue stays on screen
+         * @param {Object} [options.speakerNames={}] - Mapping of 0-based speaker numbers to names, used in speaker labels
+         * @returns {Array<Object>} Cues ({ index, start, end, text }), with lines separated by "\n"
+         */
+        resegmentCaptions(words, options = {}) {
+            const {
+                maxCharsPerLine = 42,
+                maxLines = 2,
+                maxCharsPerSecond = 17,
+                minDuration = 1,
+                maxDuration = 7,
+                speakerNames = {},
+            } = options;
+
+            // Players can merge cues that touch, so a couple of frames are left between them
+            const minGap = 0.08;
+            // A pause this long ends a cue, so text doesn't appear before it's spoken
+            const pauseBreak = 1.5;
+            const sentenceEnd = /[.?!…]["'”’)\]]*$/;
+            const clauseEnd = /[,;:–—]["'”’)\]]*$/;
+
+            const groups = [];
+            let current = [];
+            let previousSpeaker = null;
+
+            const getText = (group) => {
+                const speaker = group[0]?.speaker ?? null;
+                const label = speaker !== null && speaker !== previousSpeaker ? `${speakerNames[speaker] ?? `Speaker ${speaker}`}: ` : '';
+                return label + group.map(word => word.text).join(' ');
+            };
+            const fits = (group) => {
+                if (group.length === 1) return true;
+                const lines = this.wrapCaptionLines(getText(group), maxCharsPerLine);
+                return lines.length <= maxLines && lines.every(line => line.length <= maxCharsPerLine);
+            };
+            const flush = (group) => {
+                if (group.length === 0) return;
+                groups.push({ text: getText(group), start: group[0].start, end: group[group.length - 1].end });
+                previousSpeaker = group[0].speaker ?? null;
+            };
+
+            for (const word of words) {
+                const last = current[current.length - 1];
+
+                if (last && (word.speaker !== last.speaker || word.start - last.end > pauseBreak)) {
+                    flush(current);
+                    current = [];
+                } else if (last && (!fits([...current, word]) || word.end - current[0].start > maxDuration)) {
+                    // Split at the last sentence end, or failing that the last clause end, that leaves a reasonably full cue
+                    const minLength = maxCharsPerLine * maxLines / 3;
+                    const findBreak = (pattern) => {
+                        for (let i = current.length - 1; i > 0; i--) {
+                            if (pattern.test(current[i - 1].text) && getText(current.slice(0, i)).length >= minLength) return i;
+                        }
+                        return -1;
+                    };
+                    let breakIndex = findBreak(sentenceEnd);
+                    if (breakIndex === -1) breakIndex = findBreak(clauseEnd);
+                    if (breakIndex === -1) breakIndex = current.length;
+
+                    flush(current.slice(0, breakIndex));
+                    current = current.slice(breakIndex);
+
+                    if (current.length > 0 && (!fits([...current, word]) || word.end - current[0].start > maxDuration)) {
+                        flush(current);
+                        current = [];
+                    }
+                }
+
+                current.push(word);
+
+                if (sentenceEnd.test(word.text) && getText(current).length >= maxCharsPerLine / 2) {
+                    flush(current);
+                    current = [];
+                }
+            }
+            flush(current);
+
+            const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+            return groups.map((group, index) => {
+                const previousEnd = index > 0 ? groups[index - 1].end : 0;
+                const nextStart = index < groups.length - 1 ? groups[index + 1].start : Infinity;
+                const readingTime = Math.min(maxDuration, Math.max(minDuration, group.text.length / maxCharsPerSecond));
+
+                // Hold the cue until it can be read, as long as that doesn't run into the next cue
+                let end = Math.max(group.end, Math.min(group.start + readingTime, nextStart - minGap));
+                let start = group.start;
+
+                // If it's still too fast to read, show it slightly early (at most half a second) in the gap before it
+                if (end - start < readingTime) {
+                    start = Math.max(previousEnd + minGap, end - readingTime, group.start - 0.5, 0);
+                    start = Math.min(start, group.start);
+                }
+
+                group.end = end;
+                return {
+                    index: index + 1,
+                    start: round(start),
+                    end: round(end),
+                    text: this.wrapCaptionLines(group.text, maxCharsPerLine).join('\n'),
+                };
+            });
+        },
+
         /**
          * Splits a VTT string into batches of up to maxChars characters, ensuring the first batch includes the WEBVTT header if present
          * @param {string} vttString - The full VTT string
@@ -13,48 +13,243 @@ import fs from "fs";
 import { join } from "path";
 import retry from "async-retry@~1.3.3";
 import Bottleneck from "bottleneck@~2.19.5";
+import lang from "./languages.mjs";
+
+const MAX_RETRY_AFTER_SECONDS = 120;
+const MAX_AUDIO_BUDGET_WAIT_MS = 5 * 60 * 1000;
 
 export default {
     methods: {
-        async transcribeFiles({ files, outputDir }) {
-            let baseConcurrent;
-            let apiKey;
-
+        getTranscriptionServiceSettings(service) {
             // Base concurrency limits per service
-            if (this.transcription_service === "openai") {
-                baseConcurrent = 50;
-                apiKey = this.openai.$auth.api_key;
-            } else if (this.transcription_service === "deepgram") {
-                baseConcurrent = 50;
-                apiKey = this.deepgram.$auth.api_key;
-            } else if (this.transcription_service === "groqcloud") {
-                baseConcurrent = 20;
-                apiKey = this.groqcloud.$auth.api_key;
-            } else if (this.transcription_service === "elevenlabs") {
-                baseConcurrent = 10;
-                apiKey = this.elevenlabs.$auth.api_key;
-            } else if (this.transcription_service === "google_gemini") {
-                baseConcurrent = 15;
-                apiKey = this.google_gemini.$auth.api_key;
-            } else if (this.transcription_service === "assemblyai") {
-                baseConcurrent = 5;
-                apiKey = this.assemblyai.$auth.api_key;
-            }
-
-            console.log(`Base API call concurrency for ${this.transcription_service}: ${baseConcurrent}`);
-
-            const apiLimiter = new Bottleneck({
-                maxConcurrent: baseConcurrent,
-                minTime: Math.ceil(1000 / (baseConcurrent * 0.9)),
-                reservoir: baseConcurrent * 2,
-                reservoirRefreshAmount: baseConcurrent,
-                reservoirRefreshInterval: 1000,
-            });
+            switch (service) {
+                case "openai":
+                    return { baseConcurrent: 50, apiKey: this.openai.$auth.api_key };
+                case "deepgram":
+                    return { baseConcurrent: 50, apiKey: this.deepgram.$auth.api_key };
+                case "groqcloud":
+                    return { baseConcurrent: 20, apiKey: this.groqcloud.$auth.api_key };
+                case "elevenlabs":
+                    return { baseConcurrent: 10, apiKey: this.elevenlabs.$auth.api_key };
+                case "google_gemini":
+                    return { baseConcurrent: 15, apiKey: this.google_gemini.$auth.api_key };
+                case "assemblyai":
+                    return { baseConcurrent: 5, apiKey: this.assemblyai.$auth.api_key };
+                case "custom":
+                    // Self-hosted servers are usually a single machine, so keep concurrency low
+                    return { baseConcurrent: 4, apiKey: this.custom_transcription_api_key };
+                default:
+                    throw new Error(`Unsupported transcription service: ${service}`);
+            }
+        },
 
-            // Add error handlers for limiters
-            apiLimiter.on("failed", (error, jobInfo) => {
-                console.error(`API Limiter job failed: ${error.message}`);
-            });
+        getTranscriptionRateContext() {
+            // Limits, limiters and pacing are shared by every transcribeFiles call in a run, so multichannel runs and
+            // batch files (which run on copies of the parent step) all draw from the same budget
+            this.transcriptionRateContext ??= { limits: {}, limiters: {}, pacing: {} };
+            return this.transcriptionRateContext;
+        },
+
+        getTranscriptionRateLimits(service) {
+            // Defaults suit each provider's entry-level plan. They can be raised per service in Advanced Options.
+            const { limits: cachedLimits } = this.getTranscriptionRateContext();
+            if (cachedLimits[service]) {
+                return cachedLimits[service];
+            }
+
+            const defaults = {
+                openai: { requestsPerMinute: 500 },
+                groqcloud: { requestsPerMinute: 20, audioSecondsPerHour: 7200 },
+                google_gemini: { requestsPerMinute: 15 },
+            }[service] ?? {};
+
+            const limits = {
+                concurrency: this.getTranscriptionServiceSettings(service).baseConcurrent,
+                requestsPerMinute: defaults.requestsPerMinute ?? null,
+                audioSecondsPerHour: defaults.audioSecondsPerHour ?? null,
+            };
+
+            const override = this.advanced_options === true ? this.transcription_rate_limits?.[service] : undefined;
+            if (typeof override === "string" && override.trim()) {
+                // e.g. "concurrency=10, rpm=300, audio_per_hour=28800". 0 removes a limit.
+                const keys = { concurrency: "concurrency", rpm: "requestsPerMinute", audio_per_hour: "audioSecondsPerHour" };
+                for (const part of override.split(",")) {
+                    const [name, value] = part.split("=").map(piece => piece.trim().toLowerCase());
+                    const number = Number(value);
+                    if (!keys[name] || !Number.isFinite(number) || number < 0) {
+                        console.warn(`Ignoring "${part.trim()}" in the ${service} rate limits. Use concurrency=, rpm=, or audio_per_hour= followed by a number.`);
+                        continue;
+                    }
+                    limits[keys[name]] = name === "concurrency" ? Math.max(1, Math.floor(number)) : number || null;
+                }
+            }
+
+            cachedLimits[service] = limits;
+            return limits;
+        },
+
+        getTranscriptionLimiter(service) {
+            // Every request to a provider goes through its limiter, retries included
+            const { limiters } = this.getTranscriptionRateContext();
+            if (!limiters[service]) {
+                const { concurrency, requestsPerMinute, audioSecondsPerHour } = this.getTranscriptionRateLimits(service);
+                console.log(`Rate limits for ${service}: ${concurrency} concurrent requests${requestsPerMinute ? `, ${requestsPerMinute} requests per minute` : ""}${audioSecondsPerHour ? `, ${audioSecondsPerHour} audio seconds per hour` : ""}`);
+
+                // With a per-minute limit, requests are spaced evenly across the minute instead of sent in a burst
+                limiters[service] = new Bottleneck({
+                    maxConcurrent: concurrency,
+                    ...(requestsPerMinute
+                        ? {
+                            minTime: Math.ceil(60000 / requestsPerMinute),
+                            reservoir: requestsPerMinute,
+                            reservoirRefreshAmount: requestsPerMinute,
+                            reservoirRefreshInterval: 60000,
+                        }
+                        : {
+                            minTime: Math.ceil(1000 / (concurrency * 0.9)),
+                            reservoir: concurrency * 2,
+                            reservoirRefreshAmount: concurrency,
+                            reservoirRefreshInterval: 1000,
+                        }),
+                });
+
+                // Add error handlers for limiters
+                limiters[service].on("failed", (error, jobInfo) => {
+                    console.error(`API Limiter (${service}) job failed: ${error.message}`);
+                });
+            }
+            return limiters[service];
+        },
+
+        getTranscriptionRateState(service) {
+            // When the provider can next be called, and the audio sent to it in the past hour
+            const { pacing } = this.getTranscriptionRateContext();
+            pacing[service] ??= { paused_until: 0, audio_window: [] };
+            return pacing[service];
+        },
+
+        getTranscriptionUsage(service) {
+            // Unlike the limits, usage is counted per step, so each batch file reports its own requests
+            this.transcriptionRateStats ??= {};
+            this.transcriptionRateStats[service] ??= {
+                requests: 0,
+                retries: 0,
+                rate_limited: 0,
+                queue_wait_ms: 0,
+                max_queue_wait_ms: 0,
+            };
+            return this.transcriptionRateStats[service];
+        },
+
+        getTranscriptionRateStats() {
+            if (!this.transcriptionRateStats) return null;
+
+            return Object.fromEntries(Object.entries(this.transcriptionRateStats).map(([service, state]) => [service, {
+                requests: state.requests,
+                retries: state.retries,
+                rate_limited: state.rate_limited,
+                total_queue_wait_seconds: Math.round(state.queue_wait_ms / 100) / 10,
+                max_queue_wait_seconds: Math.round(state.max_queue_wait_ms / 100) / 10,
+            }]));
+        },
+
+        async waitForTranscriptionCapacity({ service, filePath }) {
+            const state = this.getTranscriptionRateState(service);
+            const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+            if (state.paused_until > Date.now()) {
+                await sleep(state.paused_until - Date.now());
+            }
+
+            const { audioSecondsPerHour } = this.getTranscriptionRateLimits(service);
+            if (!audioSecondsPerHour) return;
+
+            // Groq bills at least 10 seconds per request
+            const seconds = Math.max(10, await this.getDuration(filePath));
+            // Neither error can be fixed by retrying, so both are classified up front
+            if (seconds > audioSecondsPerHour) {
+                throw Object.assign(new Error(`This chunk is ${Math.round(seconds)} seconds long, which is more than ${service}'s limit of ${audioSecondsPerHour} audio seconds per hour.`), { category: "invalid_input" });
+            }
+
+            while (true) {
+                const now = Date.now();
+                state.audio_window = state.audio_window.filter(entry => entry.time > now - 3600000);
+
+                const used = state.audio_window.reduce((total, entry) => total + entry.seconds, 0);
+                if (used + seconds <= audioSecondsPerHour) {
+                    state.audio_window.push({ time: now, seconds });
+                    return;
+                }
+
+                // Wait until enough of the oldest requests have left the one-hour window
+                let freed = 0;
+                let readyAt = now;
+                for (const entry of state.audio_window) {
+                    freed += entry.seconds;
+                    readyAt = entry.time + 3600000;
+                    if (used - freed + seconds <= audioSecondsPerHour) break;
+                }
+
+                const waitMs = readyAt - now;
+                if (waitMs > MAX_AUDIO_BUDGET_WAIT_MS) {
+                    throw Object.assign(new Error(`${service}'s limit of ${audioSecondsPerHour} audio seconds per hour has been reached, and the next chunk would have to wait ${Math.ceil(waitMs / 60000)} minutes. Add a transcription fallback, or raise the limit in Transcription Rate Limits if your plan allows more.`), { category: "quota" });
+                }
+
+                console.log(`${service}'s audio-per-hour limit has been reached. Waiting ${Math.ceil(waitMs / 1000)} seconds...`);
+                await sleep(waitMs);
+            }
+        },
+
+        getRetryAfterSeconds(error) {
+            if (typeof error?.retryAfter === "number") return error.retryAfter;
+
+            // SDKs expose response headers in different places, as a Headers object or a plain one
+            for (const headers of [error?.headers, error?.response?.headers, error?.rawResponse?.headers]) {
+                if (!headers) continue;
+                const read = (name) => typeof headers.get === "function" ? headers.get(name) : headers[name];
+
+                const ms = Number(read("retry-after-ms"));
+                if (ms > 0) return ms / 1000;
+
+                const value = read("retry-after");
+                if (value) {
+                    const seconds = Number(value);
+                    if (Number.isFinite(seconds)) return seconds;
+
+                    const date = Date.parse(value);
+                    if (!Number.isNaN(date)) return Math.max(0, (date - Date.now()) / 1000);
+                }
+            }
+
+            // Groq also includes it in the message, e.g. "Please try again in 1m2.5s"
+            const match = error?.message?.match(/try again in ((?:\d+h)?(?:\d+m(?!s))?(?:[\d.]+m?s)?)/i);
+            if (match && match[1]) {
+                const [, hours = 0, minutes = 0, amount = 0, unit] = match[1].match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:([\d.]+)(ms|s))?$/) ?? [];
+                const seconds = Number(hours) * 3600 + Number(minutes) * 60 + (unit === "ms" ? Number(amount) / 1000 : Number(amount));
+                if (seconds > 0) return seconds;
+            }
+
+            return null;
+        },
+
+        wrapProviderError(message, error) {
+            // Keeps the status and retry delay, which the message alone would lose
+            const wrapped = new Error(message, { cause: error });
+            wrapped.status = error?.status ?? error?.statusCode ?? error?.response?.status;
+            wrapped.retryAfter = this.getRetryAfterSeconds(error);
+            return wrapped;
+        },
+
+        async transcribeFiles({ files, outputDir, offsets = [], overlaps = [] }) {
+            const providerChain = this.transcription_chain || [{ service: this.transcription_service, model: this.transcription_model }];
+
+            // Chunks cut from sped-up audio are offset and timestamped in the faster timeline
+            const speed = this.playbackSpeed ?? 1;
+
+            // Cached transcripts are keyed by each chunk's audio, so re-running on the same file skips the provider
+            const store = this.getStore();
+            const cacheStats = { backend: store?.name ?? null, hits: [], misses: [] };
+            this.transcriptionCacheStats = cacheStats;
 
             const BASE_CHUNK_SIZE_MB = 10;
             const BASE_CONCURRENCY = 8;
@@ -96,8 +291,7 @@ export default {
 
             // Add cleanup function
             const cleanup = async () => {
-                // Stop all limiters
-                await apiLimiter.stop();
+                // Provider limiters outlive this call (see getTranscriptionRateContext), so only this call's limiter is stopped
                 await processingLimiter.stop();
 
                 // Clean up any remaining streams
@@ -168,64 +362,142 @@ export default {
             const processChunk = async (file, index) => {
                 return await processingLimiter.schedule(async () => {
                     const filePath = join(outputDir, file);
-                    const readStream = fs.createReadStream(filePath);
-                    
-                    // Add error handler for the stream
-                    readStream.on('error', (error) => {
-                        console.error(`Error reading file ${file}: ${error.message}`);
-                        readStream.destroy();
-                        readStreams.delete(readStream);
-                    });
-
-                    readStreams.add(readStream);
 
                     // Get chunk size
                     const { size: chunkSize } = await fs.promises.stat(filePath);
                     // Memory before
                     const memBefore = process.memoryUsage().heapUsed;
 
-                    try {
-                        // Use apiLimiter for the actual API call
-                        return await apiLimiter.schedule(async () => {
-                            activeApiCalls++;
-                            const chunkStartTime = Date.now();
+                    let audioHash = null;
+                    if (store) {
+                        audioHash = await this.hashFile(filePath);
+
+                        for (const { service, model } of providerChain) {
+                            const cached = await this.readFromStore(this.getTranscriptionCacheKey({ audioHash, service, model }));
+                            if (cached) {
+                                console.log(`Cache hit for chunk ${file} (${service}, ${model}). Skipping transcription.`);
+                                cacheStats.hits.push({ chunk: index, provider: service, model });
+                                totalProcessed++;
+
+                                return {
+                                    ...this.rescaleTranscriptTimes(cached, speed),
+                                    provider: service,
+                                    model,
+                                    detected_language: this.getProviderLanguage(cached),
+                                    chunk_offset: (offsets[index] ?? 0) * speed,
+                                    chunk_overlap: (overlaps[index] ?? 0) * speed,
+                                    cached: true,
+                                };
+                            }
+                        }
 
-                            const result = await this.transcribe({
-                                file,
-                                outputDir,
-                                service: this.transcription_service,
-                                model: this.transcription_model,
-                                apiKey: apiKey,
-                                readStream
-                            });
-
-                            const chunkLatency = (Date.now() - chunkStartTime) / 1000;
-                            latencies.push(chunkLatency);
-
-                            // Memory after
-                            const memAfter = process.memoryUsage().heapUsed;
-                            const memDiff = memAfter - memBefore;
-                            const multiplier = chunkSize > 0 ? memDiff / chunkSize : 0;
-                            memoryMultipliers.push(multiplier);
-                            console.log(`Chunk ${file}: size=${(chunkSize/1024/1024).toFixed(2)}MB, memDiff=${(memDiff/1024/1024).toFixed(2)}MB, multiplier=${multiplier.toFixed(2)}`);
-
-                            activeApiCalls--;
-                            totalProcessed++;
-                            logState('Progress', file);
-
-                            return result;
-                        });
-                    } catch (error) {
-                        console.error(`Error processing chunk ${file}: ${error.message}`);
-                        throw error;
-                    } finally {
-                        try {
+                        console.log(`Cache miss for chunk ${file}.`);
+                        cacheStats.misses.push({ chunk: index });
+                    }
+
+                    const providerErrors = [];
+                    let lastError;
+
+                    for (const { service, model } of providerChain) {
+                        // A stream can only be read once, so each provider gets a fresh one
+                        const readStream = fs.createReadStream(filePath);
+
+                        // Add error handler for the stream
+                        readStream.on('error', (error) => {
+                            console.error(`Error reading file ${file}: ${error.message}`);
                             readStream.destroy();
                             readStreams.delete(readStream);
+                        });
+
+                        readStreams.add(readStream);
+
+                        const usage = this.getTranscriptionUsage(service);
+                        const attemptInfo = { retries: 0, rate_limited: 0, queue_wait_ms: 0 };
+
+                        try {
+                            const { apiKey } = this.getTranscriptionServiceSettings(service);
+
+                            // transcribe() sends each attempt through the provider's limiter
+                            activeApiCalls++;
+                            const chunkStartTime = Date.now();
+
+                            try {
+                                const rawResult = await this.transcribe({
+                                    file,
+                                    outputDir,
+                                    service,
+                                    model,
+                                    apiKey: apiKey,
+                                    readStream,
+                                    filePath,
+                                    attemptInfo
+                                });
+
+                                // The cache keeps the provider's own timestamps, since it's keyed on the sped-up audio
+                                if (audioHash) {
+                                    await this.writeToStore(this.getTranscriptionCacheKey({ audioHash, service, model }), rawResult);
+                                }
+
+                                const result = this.rescaleTranscriptTimes(rawResult, speed);
+                                result.provider = service;
+                                result.model = model;
+                                result.detected_language = this.getProviderLanguage(result);
+                                result.chunk_offset = (offsets[index] ?? 0) * speed;
+                                result.chunk_overlap = (overlaps[index] ?? 0) * speed;
+                                result.queue_wait_ms = attemptInfo.queue_wait_ms;
+                                result.retries = attemptInfo.retries;
+
+                                // Time spent waiting in the limiter isn't API latency
+                                const chunkLatency = (Date.now() - chunkStartTime - attemptInfo.queue_wait_ms) / 1000;
+                                latencies.push(chunkLatency);
+
+                                // Memory after
+                                const memAfter = process.memoryUsage().heapUsed;
+                                const memDiff = memAfter - memBefore;
+                                const multiplier = chunkSize > 0 ? memDiff / chunkSize : 0;
+                                memoryMultipliers.push(multiplier);
+                                console.log(`Chunk ${file}: size=${(chunkSize/1024/1024).toFixed(2)}MB, memDiff=${(memDiff/1024/1024).toFixed(2)}MB, multiplier=${multiplier.toFixed(2)}`);
+
+                                totalProcessed++;
+                                logState('Progress', file);
+
+                                return result;
+                            } finally {
+                                activeApiCalls--;
+                            }
                         } catch (error) {
-                            console.error(`Error cleaning up stream for ${file}: ${error.message}`);
+                            console.error(`Error processing chunk ${file} with ${service} (${model}): ${error.message}`);
+                            providerErrors.push(`${service} (${model}): ${error.message}`);
+                            lastError = error;
+
+                            if (providerErrors.length < providerChain.length) {
+                                console.log(`Falling back to the next transcription provider for chunk ${file}...`);
+                            }
+                        } finally {
+                            usage.requests += attemptInfo.retries + 1;
+                            usage.retries += attemptInfo.retries;
+                            usage.rate_limited += attemptInfo.rate_limited;
+                            usage.queue_wait_ms += attemptInfo.queue_wait_ms;
+                            usage.max_queue_wait_ms = Math.max(usage.max_queue_wait_ms, attemptInfo.queue_wait_ms);
+
+                            try {
+                                readStream.destroy();
+                                readStreams.delete(readStream);
+                            } catch (error) {
+                                console.error(`Error cleaning up stream for ${file}: ${error.message}`);
+                            }
                         }
                     }
+
+                    if (providerChain.length === 1) {
+                        throw this.reportError(lastError);
+                    }
+
+                    // The last provider's category and fix describe the whole chain's failure
+                    const { category, provider, fix } = this.toActionableError(lastError);
+                    const chainError = new Error(`Chunk ${file} failed with every transcription provider.\n\n${providerErrors.join('\n\n')}`);
+                    Object.assign(chainError, { category, provider, fix });
+                    throw this.reportError(chainError);
                 });
             };
 
@@ -247,51 +519,76 @@ export default {
 
             return results;
         },
-        async transcribe({ file, outputDir, service, model, apiKey, readStream }) {
+        async transcribe({ file, outputDir, service, model, apiKey, readStream, filePath = join(outputDir, file), attemptInfo = { retries: 0, rate_limited: 0, queue_wait_ms: 0 } }) {
             return retry(
                 async (bail, attempt) => {
                     console.log(`Attempt ${attempt}: Transcribing file ${file} with service ${service} and model ${model}.`);
+
+                    if (attempt > 1) {
+                        // The previous attempt already consumed the stream, so reopen the chunk
+                        readStream.destroy();
+                        readStream = fs.createReadStream(filePath);
+                    }
                     
                     try {
-                        let result;
-                        switch (service.toLowerCase()) {
-                            case "openai":
-                                result = await this.transcribeOpenAI({ model, apiKey, readStream });
-                                break;
-                            case "groqcloud":
-                                result = await this.transcribeGroq({ model, apiKey, readStream });
-                                break;
-                            case "deepgram":
-                                result = await this.transcribeDeepgram({ model, apiKey, readStream });
-                                break;
-                            case "elevenlabs":
-                                result = await this.transcribeElevenLabs({ model, apiKey, readStream });
-                                break;
-                            case "google_gemini":
-                                result = await this.transcribeGoogle({ file, outputDir, model, apiKey, readStream });
-                                break;
-                            case "assemblyai":
-                                result = await this.transcribeAssemblyAI({ model, apiKey, readStream });
-                                break;
-                            default:
-                                throw new Error(`Unsupported transcription service: ${service}`);
-                        }
+                        // Each attempt, retries included, takes a request from the provider's per-minute allowance
+                        const queuedAt = Date.now();
+                        const result = await this.getTranscriptionLimiter(service).schedule(async () => {
+                            await this.waitForTranscriptionCapacity({ service, filePath });
+                            attemptInfo.queue_wait_ms += Date.now() - queuedAt;
+
+                            switch (service.toLowerCase()) {
+                                case "openai":
+                                    return await this.transcribeOpenAI({ model, apiKey, readStream });
+                                case "groqcloud":
+                                    return await this.transcribeGroq({ model, apiKey, readStream });
+                                case "deepgram":
+                                    return await this.transcribeDeepgram({ model, apiKey, readStream });
+                                case "elevenlabs":
+                                    return await this.transcribeElevenLabs({ model, apiKey, readStream });
+                                case "google_gemini":
+                                    return await this.transcribeGoogle({ file, outputDir, model, apiKey, readStream });
+                                case "assemblyai":
+                                    return await this.transcribeAssemblyAI({ model, apiKey, readStream });
+                                case "custom":
+                                    return await this.transcribeCustom({ model, apiKey, readStream });
+                                default:
+                                    throw new Error(`Unsupported transcription service: ${service}`);
+                            }
+                        });
 
                         console.log(`Successfully transcribed file ${file} with service ${service} and model ${model}.`);
                         return result;
                     } catch (error) {
                         console.error(`Error transcribing file ${file} with service ${service} and model ${model}:`, error);
 
-                        // Check if error is recoverable
-                        if (
-                            error.message.toLowerCase().includes("econnreset") ||
-                            error.message.toLowerCase().includes("connection error") ||
-                            (error.status && error.status >= 500)
-                        ) {
-                            console.log(`Encountered a recoverable error. Retrying...`);
+                        const { category, retryable } = this.classifyError(error);
+
+                        if (category === "rate_limit") {
+                            attemptInfo.rate_limited++;
+
+                            // Long waits usually mean a daily quota, which a fallback provider can cover sooner
+                            const waitSeconds = this.getRetryAfterSeconds(error) ?? 5 * attempt;
+                            if (waitSeconds > MAX_RETRY_AFTER_SECONDS) {
+                                console.log(`${service} is rate limited for another ${Math.ceil(waitSeconds)} seconds. Bailing...`);
+                                bail(error);
+                                return;
+                            }
+
+                            // Other chunks for this provider hold off too, so they don't hit the same limit
+                            const rateState = this.getTranscriptionRateState(service);
+                            rateState.paused_until = Math.max(rateState.paused_until, Date.now() + waitSeconds * 1000);
+
+                            console.log(`${service} rate limit reached. Waiting ${waitSeconds.toFixed(1)} seconds before retrying...`);
+                            await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
+                            throw error;
+                        }
+
+                        if (retryable) {
+                            console.log(`Encountered a recoverable error (${category}). Retrying...`);
                             throw error;
                         } else {
-                            console.log(`Encountered an error that won't be helped by retrying. Bailing...`);
+                            console.log(`Encountered a ${category} error that won't be helped by retrying. Bailing...`);
                             bail(error);
                         }
                     }
@@ -299,10 +596,13 @@ export default {
                 {
                     retries: 3,
                     onRetry: (error, attempt) => {
+                        attemptInfo.retries++;
                         console.log(`Retry attempt ${attempt} for file ${file} due to: ${error.message}`);
                     }
                 }
-            );
+            ).catch(error => {
+                throw this.toActionableError(error, { provider: service });
+            });
         },
 
         async transcribeOpenAI({ model = "whisper-1", apiKey, readStream }) {
@@ -325,9 +625,10 @@ export default {
                 }
 
                 // Add prompt if provided
-                if (this.whisper_prompt) {
-                    requestParams.prompt = this.whisper_prompt;
-                    console.log(`Using custom prompt: ${this.whisper_prompt}`);
+                const prompt = this.getWhisperPrompt();
+                if (prompt) {
+                    requestParams.prompt = prompt;
+                    console.log(`Using custom prompt: ${prompt}`);
                 }
 
                 // Add language if provided
@@ -337,7 +638,7 @@ export default {
 
                 // Add timestamp granularities only for non-GPT-4o models
                 if (!isGPT4oModel) {
-                    requestParams.timestamp_granularities = ["segment"];
+                    requestParams.timestamp_granularities = ["word", "segment"];
                 }
 
                 const response = await openai.audio.transcriptions.create(requestParams);
@@ -358,6 +659,8 @@ export default {
                         text: response.text,
                         // timestamps: response.segments,
                         vtt: this.generateVTT(response.segments),
+                        confidence_spans: this.normalizeConfidence(response.segments, "whisper"),
+                        words: this.alignWhisperWords(response.segments, response.words),
                         metadata: {
                             language: response.language,
                             duration: response.duration,
@@ -386,10 +689,76 @@ export default {
                     errorText = `An error occured while sending the chunks to OpenAI.`;
                 }
 
-                throw new Error(
+                throw this.wrapProviderError(
                     `${errorText}
                     
-                    Full error from OpenAI: ${error.message}`
+                    Full error from OpenAI: ${error.message}`,
+                    error
+                );
+            }
+        },
+
+        async transcribeCustom({ model, apiKey, readStream }) {
+            const baseURL = this.custom_transcription_base_url.trim().replace(/\/+$/, "");
+
+            // Many self-hosted servers don't check the key, but the SDK requires one
+            const openai = new OpenAI({ apiKey: apiKey || "not-needed", baseURL });
+
+            try {
+                const requestParams = {
+                    file: readStream,
+                    model,
+                    response_format: "verbose_json",
+                    timestamp_granularities: ["segment"],
+                };
+
+                if (this.whisper_temperature !== undefined) {
+                    requestParams.temperature = this.whisper_temperature / 10;
+                }
+
+                const prompt = this.getWhisperPrompt();
+                if (prompt) {
+                    requestParams.prompt = prompt;
+                    console.log(`Using custom prompt: ${prompt}`);
+                }
+
+                if (this.whisper_language) {
+                    requestParams.language = this.whisper_language;
+                }
+
+                const response = await openai.audio.transcriptions.create(requestParams);
+
+                // Some servers ignore response_format and return plain text
+                if (typeof response === "string") {
+                    return {
+                        text: response,
+                        metadata: {
+                            model
+                        }
+                    };
+                }
+
+                const result = {
+                    text: response.text,
+                    metadata: {
+                        language: response.language,
+                        duration: response.duration,
+                        model
+                    }
+                };
+
+                if (Array.isArray(response.segments) && response.segments.length > 0) {
+                    result.vtt = this.generateVTT(response.segments);
+                    result.confidence_spans = this.normalizeConfidence(response.segments, "whisper");
+                }
+
+                return result;
+            } catch (error) {
+                throw this.wrapProviderError(
+                    `An error occured while sending the chunks to your custom transcription server at ${baseURL}. Please check that the server is running, that it is reachable from Pipedream, and that the model name is correct.
+                    
+                    Full error from custom server: ${error.message}`,
+                    error
                 );
             }
         },
@@ -403,13 +772,14 @@ export default {
                     file: readStream,
                     model,
                     response_format: "verbose_json",
-                    timestamp_granularities: ["segment"]
+                    timestamp_granularities: ["word", "segment"]
                 };
 
                 // Add the whisper prompt if provided
-                if (this.whisper_prompt) {
-                    requestParams.prompt = this.whisper_prompt;
-                    console.log(`Using custom prompt: ${this.whisper_prompt}`);
+                const prompt = this.getWhisperPrompt();
+                if (prompt) {
+                    requestParams.prompt = prompt;
+                    console.log(`Using custom prompt: ${prompt}`);
                 }
 
                 // Add temperature if provided (convert from 0-20 scale to 0-1 scale)
@@ -428,6 +798,8 @@ export default {
                     text: response.text,
                     // timestamps: response.segments,
                     vtt: this.generateVTT(response.segments),
+                    confidence_spans: this.normalizeConfidence(response.segments, "whisper"),
+                    words: this.alignWhisperWords(response.segments, response.words),
                     metadata: {
                         language: response.language,
                         duration: response.duration,
@@ -435,81 +807,170 @@ export default {
                     }
                 };
             } catch (error) {
-                throw new Error(`Groq transcription error: ${error.message}`);
+                throw this.wrapProviderError(`Groq transcription error: ${error.message}`, error);
             }
         },
 
-        async transcribeDeepgram({ model = "nova-3", apiKey, readStream, useSDK = true }) {
+        getCustomVocabulary() {
+            // Trimmed, with blanks and repeats removed. Each provider applies its own limits on top of this.
+            if (this.advanced_options !== true || !Array.isArray(this.keyterms)) {
+                return [];
+            }
+
+            const seen = new Set();
+            return this.keyterms
+                .filter(term => typeof term === "string")
+                .map(term => term.trim())
+                .filter(term => {
+                    if (!term || seen.has(term.toLowerCase())) return false;
+                    seen.add(term.toLowerCase());
+                    return true;
+                });
+        },
+
+        getWhisperPrompt() {
+            // Whisper-style models read the prompt as the text that came before the audio, so listing the vocabulary
+            // there makes those spellings more likely. Only the end of a long prompt is used, so the user's prompt goes last.
+            const vocabulary = this.getCustomVocabulary();
+            const parts = [];
+            if (vocabulary.length > 0) {
+                parts.push(`Glossary: ${vocabulary.join(", ")}.`);
+            }
+            if (this.whisper_prompt) {
+                parts.push(this.whisper_prompt);
+            }
+
+            return parts.length > 0 ? parts.join(" ") : undefined;
+        },
+
+        getDeepgramParams(model) {
+            const transcriptionParams = {
+                model: model,
+                detect_language: true,
+                diarize: true,
+                numerals: true,
+                fill_words: false,
+                measurements: true,
+                profanity_filter: false,
+                smart_format: false,
+                dictation: false,
+                punctuate: true,
+                utterances: true
+            };
+
+            // Add language if provided
+            if (this.whisper_language) {
+                transcriptionParams.language = this.whisper_language;
+            }
+
+            // nova-3 supports keyterm prompting; older models only support keyword boosting
+            const vocabulary = this.getCustomVocabulary();
+            if (vocabulary.length > 0) {
+                if (String(model).startsWith("nova-3")) {
+                    transcriptionParams.keyterm = vocabulary;
+                } else {
+                    transcriptionParams.keywords = vocabulary;
+                }
+            }
+
+            // Transcribe each channel of a stereo recording separately
+            if (this.use_native_multichannel) {
+                transcriptionParams.multichannel = true;
+            }
+
+            return transcriptionParams;
+        },
+
+        formatDeepgramResult(result, model) {
+            if (result.error) {
+                console.error("Deepgram error response:", result.error);
+                throw new Error(`Deepgram error: ${result.error.message}`);
+            }
+
+            if (result?.results?.channels?.length > 1) {
+                return this.formatDeepgramMultichannelResult(result, model);
+            }
+
+            // Safely generate VTT output
+            let vttOutput = '';
             try {
-                let result;
+                if (result && result.results && result.results.channels && result.results.channels[0]) {
+                    vttOutput = webvtt(result);
 
-                // Define common parameters for both SDK and fetch
-                const transcriptionParams = {
-                    model: model,
-                    detect_language: true,
-                    diarize: true,
-                    numerals: true,
-                    fill_words: false,
-                    measurements: true,
-                    profanity_filter: false,
-                    smart_format: false,
-                    dictation: false,
-                    punctuate: true,
-                    utterances: true
-                };
+                } else {
+                    console.warn("Deepgram response missing expected structure for VTT generation");
+                }
+            } catch (vttError) {
+                console.warn("Error generating VTT:", vttError);
+                // Continue without VTT if generation fails
+            }
 
-                // Add language if provided
-                if (this.whisper_language) {
-                    transcriptionParams.language = this.whisper_language;
+            // Create the return object with safe property access
+            const returnObject = {
+                text: result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '',
+                confidence: result?.results?.channels?.[0]?.alternatives?.[0]?.confidence,
+                // paragraphs: result?.results?.channels?.[0]?.alternatives?.[0]?.paragraphs?.transcript,
+                language: result?.results?.channels?.[0]?.detected_language,
+                utterances: this.normalizeUtterances(result?.results?.utterances, "deepgram"),
+                confidence_spans: this.normalizeConfidence(result?.results?.channels?.[0]?.alternatives?.[0]?.words, "deepgram"),
+                vtt: vttOutput,
+                metadata: {
+                    ...(result?.metadata || {}),
+                    model
+                }
+            };
+
+            return returnObject;
+        },
+
+        formatDeepgramMultichannelResult(result, model) {
+            // Each channel is one side of the call, so the channel number becomes the speaker
+            const channels = result.results.channels;
+            const utterances = (result.results.utterances ?? []).map(utterance => ({
+                speaker: utterance.channel ?? 0,
+                start: utterance.start,
+                end: utterance.end,
+                text: (utterance.transcript ?? "").trim(),
+                confidence: utterance.confidence ?? null
+            })).filter(utterance => utterance.text).sort((a, b) => a.start - b.start);
+
+            // Spans keep their channel, so low-confidence words from different speakers aren't merged into one phrase
+            const confidenceSpans = channels
+                .flatMap((channel, index) => this.normalizeConfidence(channel?.alternatives?.[0]?.words, "deepgram")
+                    .map(span => ({ ...span, channel: index })))
+                .sort((a, b) => a.start - b.start);
+
+            return {
+                text: utterances.map(utterance => utterance.text).join(" "),
+                confidence: channels[0]?.alternatives?.[0]?.confidence,
+                language: channels.find(channel => channel.detected_language)?.detected_language,
+                utterances,
+                confidence_spans: confidenceSpans,
+                vtt: this.generateVTT(utterances, { includeSpeaker: true }),
+                channels: channels.length,
+                metadata: {
+                    ...(result?.metadata || {}),
+                    model
                 }
+            };
+        },
 
+        async transcribeDeepgram({ model = "nova-3", apiKey, readStream, useSDK = true }) {
+            try {
                 const deepgram = new DeepgramClient({ apiKey });
-                result = await deepgram.listen.v1.media.transcribeFile(
+                const result = await deepgram.listen.v1.media.transcribeFile(
                     readStream,
-                    transcriptionParams
+                    this.getDeepgramParams(model)
                 );
- 
-                if (result.error) {
-                    console.error("Deepgram error response:", result.error);
-                    throw new Error(`Deepgram error: ${result.error.message}`);
-                }
-
-                // Safely generate VTT output
-                let vttOutput = '';
-                try {
-                    if (result && result.results && result.results.channels && result.results.channels[0]) {
-                        vttOutput = webvtt(result);
 
-                    } else {
-                        console.warn("Deepgram response missing expected structure for VTT generation");
-                    }
-                } catch (vttError) {
-                    console.warn("Error generating VTT:", vttError);
-                    // Continue without VTT if generation fails
-                }
-
-                // Create the return object with safe property access
-                const returnObject = {
-                    text: result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '',
-                    confidence: result?.results?.channels?.[0]?.alternatives?.[0]?.confidence,
-                    // paragraphs: result?.results?.channels?.[0]?.alternatives?.[0]?.paragraphs?.transcript,
-                    language: result?.results?.channels?.[0]?.detected_language,
-                    utterances: result?.results?.utterances,
-                    vtt: vttOutput,
-                    metadata: {
-                        ...(result?.metadata || {}),
-                        model
-                    }
-                };
-
-                return returnObject;
+                return this.formatDeepgramResult(result, model);
             } catch (error) {
                 console.error("Deepgram transcription error details:", {
                     name: error.name,
                     message: error.message,
                     stack: error.stack?.split('\n').slice(0, 3).join('\n')
                 });
-                throw new Error(`Deepgram transcription error: ${error.message}`);
+                throw this.wrapProviderError(`Deepgram transcription error: ${error.message}`, error);
             }
         },
 
@@ -534,23 +995,32 @@ export default {
                 if (this.whisper_language) {
                     requestParams.language = this.whisper_language;
                 }
+
+                // Bias the transcript toward the custom vocabulary (ElevenLabs accepts up to 100 terms)
+                const vocabulary = this.getCustomVocabulary();
+                if (vocabulary.length > 0) {
+                    requestParams.keyterms = vocabulary.slice(0, 100);
+                }
                 
                 const response = await client.speechToText.convert(requestParams);
 
                 return {
                     text: response.text,
                     vtt: response.additional_formats[0].content,
+                    utterances: this.normalizeUtterances(response.words, "elevenlabs"),
+                    confidence_spans: this.normalizeConfidence(response.words, "elevenlabs"),
                     speakers: response.speakers,
                     audio_events: response.audio_events,
                     // additional_formats: response.additional_formats,
                     metadata: {
-                        language: response.language,
+                        language: response.language_code ?? response.language,
+                        language_probability: response.language_probability,
                         duration: response.duration,
                         model
                     }
                 };
             } catch (error) {
-                throw new Error(`ElevenLabs transcription error: ${error.message}`);
+                throw this.wrapProviderError(`ElevenLabs transcription error: ${error.message}`, error);
             }
         },
 
@@ -571,6 +1041,11 @@ export default {
                 } else {
                     prompt = "Transcribe this audio file completely and accurately. Remove filler words like 'um' and 'like'. Remove stammering. Convert numbers to numerals. Convert measurements to numerals with units. Do not add any additional text or commentary.";
                 }
+
+                const vocabulary = this.getCustomVocabulary();
+                if (vocabulary.length > 0) {
+                    prompt += `\n\nThe audio may contain the following names and terms. When you hear one of them, spell it exactly as written here:\n${vocabulary.map(term => `- ${term}`).join("\n")}`;
+                }
                 
                 const response = await ai.models.generateContent({
                     model,
@@ -588,8 +1063,80 @@ export default {
                     }
                 };
             } catch (error) {
-                throw new Error(`Google Gemini transcription error: ${error.message}`);
+                throw this.wrapProviderError(`Google Gemini transcription error: ${error.message}`, error);
+            }
+        },
+
+        getAssemblyAIParams({ model, readStream }) {
+            // Define transcription parameters similar to Deepgram
+            const transcriptionParams = {
+                audio: readStream,
+                speech_model: model,
+                speaker_labels: true,
+                format_text: true,
+                punctuate: true,
+                boost_param: "high",
+                filter_profanity: false,
+                disfluencies: false,
+                auto_chapters: false,
+                auto_highlights: false,
+                sentiment_analysis: false,
+                summarization: false,
+                iab_categories: false,
+                redact_pii: false,
+                multichannel: false
+            };
+
+            // slam-1 takes the vocabulary as a keyterms prompt; other models boost the same words instead.
+            // AssemblyAI accepts up to 1,000 terms of up to 6 words each.
+            const vocabulary = this.getCustomVocabulary();
+            if (
+                vocabulary.length > 0
+                && vocabulary.length < 1000
+                && vocabulary.every((term) => term.split(" ").length < 7)
+            ) {
+                if (model === "slam-1") {
+                    console.log("Adding keyterms to transcription parameters...");
+                    transcriptionParams.keyterms_prompt = vocabulary;
+                } else {
+                    console.log("Adding word boost to transcription parameters...");
+                    transcriptionParams.word_boost = vocabulary;
+                }
+            } else if (vocabulary.length > 0) {
+                console.warn("Custom Vocabulary was not sent to AssemblyAI, which accepts fewer than 1,000 terms of up to 6 words each.");
+            }
+
+            // Add language_code if provided and if model is not "slam-1"
+            if (this.whisper_language && model !== "slam-1") {
+                transcriptionParams.language_code = this.whisper_language;
+            }
+
+            return transcriptionParams;
+        },
+
+        formatAssemblyAIResult(result) {
+            if (result.status === "error") {
+                throw new Error(`AssemblyAI transcription failed: ${result.error}`);
             }
+
+            // Use utterances array for VTT generation if available
+            const utterances = this.normalizeUtterances(result.utterances, "assemblyai");
+
+            return {
+                text: result.text,
+                confidence: result.confidence,
+                language: result.language_code,
+                vtt: this.generateVTT(utterances, { includeSpeaker: true }),
+                utterances,
+                confidence_spans: this.normalizeConfidence(result.words, "assemblyai"),
+                metadata: {
+                    speech_model: result.speech_model,
+                    duration: result.audio_duration,
+                    speakers: result.speakers,
+                    language_confidence: result.language_confidence,
+                    entities: result.entities,
+                }
+            };
         },
 
         async transcribeAssemblyAI({ model = "best", apiKey, readStream }) {
@@ -601,76 +1148,305 @@ export default {
                     apiKey,
                 });
 
-                // Define transcription parameters similar to Deepgram
-                const transcriptionParams = {
-                    audio: readStream,
-                    speech_model: model,
-                    speaker_labels: true,
-                    format_text: true,
-                    punctuate: true,
-                    boost_param: "high",
-                    filter_profanity: false,
-                    disfluencies: false,
-                    auto_chapters: false,
-                    auto_highlights: false,
-                    sentiment_analysis: false,
-                    summarization: false,
-                    iab_categories: false,
-                    redact_pii: false,
-                    multichannel: false
-                };
+                // Submit transcription request and wait for completion
+                const result = await client.transcripts.transcribe(this.getAssemblyAIParams({ model, readStream }));
 
-                // Add keyterms if provided and model is "slam-1"
-                if (
-                    this.keyterms 
-                    && Array.isArray(this.keyterms) 
-                    && this.keyterms.length > 0 
-                    && this.keyterms.length < 1000 
-                    && this.keyterms.every((term) => typeof term === "string")
-                    && this.keyterms.every((term) => term.split(" ").length < 7)
-                    && model === "slam-1"
-                ) {
-                    // Add keyterms to transcription parameters
-                    console.log("Adding keyterms to transcription parameters...");
-                    transcriptionParams.keyterms_prompt = this.keyterms;
+                return this.formatAssemblyAIResult(result);
+            } catch (error) {
+                console.error("AssemblyAI transcription error details:", {
+                    name: error.name,
+                    message: error.message,
+                    stack: error.stack?.split('\n').slice(0, 3).join('\n')
+                });
+                throw this.wrapProviderError(`AssemblyAI transcription error: ${error.message}`, error);
+            }
+        },
+
+        async submitCallbackTranscription({ service, model, file, outputDir, callbackUrl }) {
+            // Uploads the file and returns as soon as the provider has queued the job. The result is sent to callbackUrl.
+            const { apiKey } = this.getTranscriptionServiceSettings(service);
+            const readStream = fs.createReadStream(join(outputDir, file));
+
+            try {
+                switch (service) {
+                    case "deepgram": {
+                        const deepgram = new DeepgramClient({ apiKey });
+                        const response = await deepgram.listen.v1.media.transcribeFile(readStream, {
+                            ...this.getDeepgramParams(model),
+                            callback: callbackUrl,
+                        });
+                        return { job_id: response?.request_id ?? null };
+                    }
+                    case "assemblyai": {
+                        const client = new AssemblyAI({ apiKey });
+                        const response = await client.transcripts.submit({
+                            ...this.getAssemblyAIParams({ model, readStream }),
+                            webhook_url: callbackUrl,
+                        });
+                        return { job_id: response?.id ?? null };
+                    }
+                    default:
+                        throw new Error(`Callback mode is not supported for transcription service: ${service}`);
                 }
+            } catch (error) {
+                throw new Error(`Failed to submit ${service} transcription job with a callback: ${error.message}`);
+            } finally {
+                readStream.destroy();
+            }
+        },
 
-                // Add language_code if provided and if model is not "slam-1"
-                if (this.whisper_language && model !== "slam-1") {
-                    transcriptionParams.language_code = this.whisper_language;
+        async resumeCallbackTranscription({ service, model, callbackRequest }) {
+            let body = callbackRequest?.body;
+            if (typeof body === "string") {
+                try {
+                    body = JSON.parse(body);
+                } catch (error) {
+                    throw new Error(`The ${service} callback body is not valid JSON: ${error.message}`);
                 }
+            }
 
-                // Submit transcription request and wait for completion
-                const result = await client.transcripts.transcribe(transcriptionParams);
+            if (!body || typeof body !== "object") {
+                throw new Error(`The ${service} callback did not include a result.`);
+            }
 
-                if (result.status === "error") {
-                    throw new Error(`AssemblyAI transcription failed: ${result.error}`);
+            switch (service) {
+                case "deepgram":
+                    // Deepgram posts the full transcription response to the callback URL
+                    if (body.err_code || body.err_msg) {
+                        throw new Error(`Deepgram transcription failed: ${body.err_msg ?? body.err_code}`);
+                    }
+                    return this.formatDeepgramResult(body, model);
+                case "assemblyai": {
+                    // AssemblyAI only posts the transcript ID and status, so the transcript is fetched separately
+                    if (!body.transcript_id) {
+                        throw new Error(`The AssemblyAI webhook did not include a transcript_id.`);
+                    }
+
+                    const { apiKey } = this.getTranscriptionServiceSettings(service);
+                    const client = new AssemblyAI({ apiKey });
+                    const result = await client.transcripts.get(body.transcript_id);
+                    return this.formatAssemblyAIResult(result);
                 }
+                default:
+                    throw new Error(`Callback mode is not supported for transcription service: ${service}`);
+            }
+        },
 
-                // Use utterances array for VTT generation if available
-                const utterances = result.utterances || [];
+        // Providers report language as a name ("english"), an ISO 639-1 code ("en"), a locale ("en_us"),
+        // or an ISO 639-3 code ("eng"). Returns { label, value } like detectLanguage, or null if none was reported.
+        getProviderLanguage(result) {
+            const raw = result?.language ?? result?.metadata?.language;
+            if (typeof raw !== "string" || raw.trim() === "") {
+                return null;
+            }
 
-                return {
-                    text: result.text,
-                    confidence: result.confidence,
-                    language: result.language_code,
-                    vtt: this.generateVTT(utterances, { includeSpeaker: true }),
-                    metadata: {
-                        speech_model: result.speech_model,
-                        duration: result.audio_duration,
-                        speakers: result.speakers,
-                        language_confidence: result.language_confidence,
-                        entities: result.entities,
-                    }
-                };
+            const reported = raw.trim();
+            const byLabel = lang.LANGUAGES.find(language => language.label.toLowerCase() === reported.toLowerCase());
+            if (byLabel) {
+                return { label: byLabel.label, value: byLabel.value };
+            }
+
+            try {
+                const code = new Intl.Locale(reported.replace(/_/g, "-")).language;
+                const known = lang.LANGUAGES.find(language => language.value === code);
+                if (known) {
+                    return { label: known.label, value: known.value };
+                }
+
+                const label = new Intl.DisplayNames(["en"], { type: "language" }).of(code);
+                return label && label !== code ? { label, value: code } : null;
             } catch (error) {
-                console.error("AssemblyAI transcription error details:", {
-                    name: error.name,
-                    message: error.message,
-                    stack: error.stack?.split('\n').slice(0, 3).join('\n')
-                });
-                throw new Error(`AssemblyAI transcription error: ${error.message}`);
+                console.warn(`Unrecognized language reported by the transcription service: ${reported}`);
+                return null;
+            }
+        },
+
+        // Picks the language most of the transcript is in, weighting each chunk by how much text it has
+        getTranscriptLanguage(chunks) {
+            const totals = {};
+            for (const chunk of chunks) {
+                const language = chunk?.detected_language;
+                if (!language?.value) continue;
+
+                totals[language.value] = totals[language.value] ?? { ...language, weight: 0 };
+                totals[language.value].weight += (chunk.text?.length || 0) + 1;
             }
+
+            const ranked = Object.values(totals).sort((a, b) => b.weight - a.weight);
+            if (ranked.length === 0) {
+                return null;
+            }
+
+            const total = ranked.reduce((sum, language) => sum + language.weight, 0);
+            return {
+                label: ranked[0].label,
+                value: ranked[0].value,
+                share: Math.round((ranked[0].weight / total) * 100) / 100,
+            };
+        },
+
+        // Converts each provider's speaker data into { speaker, start, end, text, confidence }.
+        // Speakers are 0-based numbers and times are seconds from the start of the chunk. Providers
+        // number speakers per request, so one person may get a different number in each chunk.
+        normalizeUtterances(raw, service) {
+            if (!Array.isArray(raw) || raw.length === 0) {
+                return [];
+            }
+
+            switch (service) {
+                case "deepgram":
+                    return raw.map(utterance => ({
+                        speaker: utterance.speaker ?? 0,
+                        start: utterance.start,
+                        end: utterance.end,
+                        text: (utterance.transcript ?? "").trim(),
+                        confidence: utterance.confidence ?? null
+                    }));
+
+                case "assemblyai":
+                    // AssemblyAI labels speakers "A", "B", "C"... and reports times in milliseconds
+                    return raw.map(utterance => ({
+                        speaker: typeof utterance.speaker === "string"
+                            ? utterance.speaker.toUpperCase().charCodeAt(0) - 65
+                            : utterance.speaker ?? 0,
+                        start: utterance.start / 1000,
+                        end: utterance.end / 1000,
+                        text: (utterance.text ?? "").trim(),
+                        confidence: utterance.confidence ?? null
+                    }));
+
+                case "elevenlabs": {
+                    // ElevenLabs only returns words, so group consecutive words by speaker
+                    const utterances = [];
+                    let current = null;
+                    let logprobs = [];
+
+                    const finish = () => {
+                        if (!current) return;
+                        current.text = current.text.trim();
+                        current.confidence = logprobs.length > 0
+                            ? Math.exp(logprobs.reduce((a, b) => a + b, 0) / logprobs.length)
+                            : null;
+                        if (current.text) utterances.push(current);
+                    };
+
+                    for (const word of raw) {
+                        if (word.type === "audio_event") continue;
+
+                        const speaker = parseInt(String(word.speaker_id ?? "0").replace(/\D/g, ""), 10) || 0;
+
+                        if (word.type === "spacing") {
+                            if (current) current.text += word.text;
+                            continue;
+                        }
+
+                        if (!current || current.speaker !== speaker) {
+                            finish();
+                            current = { speaker, start: word.start, end: word.end, text: "", confidence: null };
+                            logprobs = [];
+                        }
+
+                        current.text += word.text;
+                        current.end = word.end;
+                        if (typeof word.logprob === "number") logprobs.push(word.logprob);
+                    }
+                    finish();
+
+                    return utterances;
+                }
+
+                default:
+                    return [];
+            }
+        },
+
+        // Segment start/end times must be in seconds
+        normalizeConfidence(raw, service) {
+            // Returns [{ text, start, end, confidence }] with times in seconds and confidence between 0 and 1.
+            // Deepgram, AssemblyAI, and ElevenLabs score each word; Whisper only scores each segment.
+            if (!Array.isArray(raw) || raw.length === 0) {
+                return [];
+            }
+
+            let spans;
+            switch (service) {
+                case "deepgram":
+                    spans = raw.map(word => ({
+                        text: word.punctuated_word ?? word.word,
+                        start: word.start,
+                        end: word.end,
+                        confidence: word.confidence
+                    }));
+                    break;
+
+                case "assemblyai":
+                    spans = raw.map(word => ({
+                        text: word.text,
+                        start: word.start / 1000,
+                        end: word.end / 1000,
+                        confidence: word.confidence
+                    }));
+                    break;
+
+                case "elevenlabs":
+                    spans = raw
+                        .filter(word => word.type === "word" && typeof word.logprob === "number")
+                        .map(word => ({
+                            text: word.text,
+                            start: word.start,
+                            end: word.end,
+                            confidence: Math.exp(word.logprob)
+                        }));
+                    break;
+
+                case "whisper":
+                    // A segment that probably isn't speech is as suspect as one the model was unsure of
+                    spans = raw
+                        .filter(segment => typeof segment.avg_logprob === "number")
+                        .map(segment => ({
+                            text: (segment.text ?? "").trim(),
+                            start: segment.start,
+                            end: segment.end,
+                            confidence: Math.exp(segment.avg_logprob) * (1 - (segment.no_speech_prob ?? 0))
+                        }));
+                    break;
+
+                default:
+                    return [];
+            }
+
+            return spans.filter(span => span.text && Number.isFinite(span.confidence));
+        },
+
+        alignWhisperWords(segments, words) {
+            // Returns [{ text, start, end }]. Whisper's word timestamps have no punctuation, so they're matched to each
+            // segment's punctuated text. A segment whose words don't line up is returned whole, with the segment's times.
+            if (!Array.isArray(segments) || segments.length === 0) {
+                return [];
+            }
+
+            const timedWords = Array.isArray(words) ? words : [];
+            let position = 0;
+
+            return segments.flatMap(segment => {
+                const text = (segment.text ?? "").trim();
+                const tokens = text.split(/\s+/).filter(Boolean);
+
+                const segmentWords = [];
+                while (position < timedWords.length && (timedWords[position].start + timedWords[position].end) / 2 <= segment.end) {
+                    segmentWords.push(timedWords[position++]);
+                }
+
+                if (tokens.length === 0) {
+                    return [];
+                }
+
+                if (segmentWords.length !== tokens.length) {
+                    return [{ text, start: segment.start, end: segment.end }];
+                }
+
+                return tokens.map((token, index) => ({ text: token, start: segmentWords[index].start, end: segmentWords[index].end }));
+            });
         },
 
         generateVTT(timestamps, options = {}) {
@@ -680,17 +1456,14 @@ export default {
 
             let vtt = '';
             timestamps.forEach((segment, index) => {
-                // If start/end are in ms, convert to seconds
-                const startSec = segment.start > 1000 ? segment.start / 1000 : segment.start;
-                const endSec = segment.end > 1000 ? segment.end / 1000 : segment.end;
-                const startTime = this.formatTimestamp(startSec);
-                const endTime = this.formatTimestamp(endSec);
+                const startTime = this.formatTimestamp(segment.start);
+                const endTime = this.formatTimestamp(segment.end);
 
                 vtt += `${index + 1}\n`;
                 vtt += `${startTime} --> ${endTime}\n`;
 
                 let text = segment.text ? segment.text.trim() : '';
-                if (options.includeSpeaker && segment.speaker) {
+                if (options.includeSpeaker && segment.speaker !== undefined && segment.speaker !== null) {
                     text = `Speaker ${segment.speaker}: ${text}`;
                 }
                 vtt += `${text}\n\n`;
@@ -699,6 +1472,36 @@ export default {
             return vtt;
         },
 
+        rescaleTranscriptTimes(result, speed) {
+            // Multiplies every timestamp in a result by the playback speed, so sped-up audio reports real time
+            if (!result || !speed || speed === 1) {
+                return result;
+            }
+
+            const scale = (seconds) => typeof seconds === "number" ? Math.round(seconds * speed * 1000) / 1000 : seconds;
+
+            // Handles WebVTT and the SRT some providers return in its place
+            const scaleCaptions = (captions) => captions.replace(/(\d{2}):(\d{2}):(\d{2})([.,])(\d{3})/g, (match, hours, minutes, secs, separator, ms) => {
+                const seconds = Number(hours) * 3600 + Number(minutes) * 60 + Number(secs) + Number(ms) / 1000;
+                return this.formatTimestamp(scale(seconds)).replace(".", separator);
+            });
+
+            return {
+                ...result,
+                ...(typeof result.vtt === "string" && { vtt: scaleCaptions(result.vtt) }),
+                ...(Array.isArray(result.utterances) && {
+                    utterances: result.utterances.map(utterance => ({ ...utterance, start: scale(utterance.start), end: scale(utterance.end) })),
+                }),
+                ...(Array.isArray(result.confidence_spans) && {
+                    confidence_spans: result.confidence_spans.map(span => ({ ...span, start: scale(span.start), end: scale(span.end) })),
+                }),
+                ...(Array.isArray(result.words) && {
+                    words: result.words.map(word => ({ ...word, start: scale(word.start), end: scale(word.end) })),
+                }),
+                playback_speed: speed,
+            };
+        },
+
         formatTimestamp(seconds) {
             const date = new Date(seconds * 1000);
             const hours = date.getUTCHours().toString().padStart(2, '0');
@@ -34,14 +34,10 @@ export default {
                             const response = await axios(config);
                             return response;
                         } catch (error) {
-                            // Don't retry on 4xx errors (except 429) or 5xx errors that aren't 503
-                            if (error.response) {
-                                const status = error.response.status;
-                                if ((status >= 400 && status < 500 && status !== 429) || 
-                                    (status >= 500 && status !== 503)) {
-                                    bail(error);
-                                    return;
-                                }
+                            // Auth, validation and quota errors fail the same way on every attempt
+                            if (!this.classifyError(error).retryable) {
+                                bail(error);
+                                return;
                             }
                             
                             // Log retry attempt
@@ -78,10 +74,11 @@ export default {
                     }
                     
                     // For other API errors, include status and message
-                    throw new Error(`Notion API error (${status}): ${data?.message || error.message}`);
+                    const apiError = Object.assign(new Error(`Notion API error (${status}): ${data?.message || error.message}`, { cause: error }), { status });
+                    throw this.toActionableError(apiError, { provider: "notion" });
                 } else if (error.request) {
                     // If we have a request but no response, it's a network error
-                    throw new Error(`Network error: ${error.message}`);
+                    throw this.toActionableError(new Error(`Network error: ${error.message}`, { cause: error }), { provider: "notion" });
                 } else {
                     // For other errors (like retry failures)
                     throw new Error(`Request failed: ${error.message}`);
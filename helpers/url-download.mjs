@@ -0,0 +1,362 @@
+// Node.js utils
+import stream from "stream"; // Stream handling
+import { promisify } from "util"; // Promisify
+import fs from "fs"; // File system
+import { extname, basename } from "path"; // Path handling
+import got from "got@~14.6.6"; // HTTP requests
+
+const MAX_AUDIO_BYTES = 700000000;
+const MAX_VIDEO_BYTES = 2000000000; // Pipedream's temp storage limit; the audio track is size-checked after extraction
+
+const MEDIA_TYPES = {
+    "audio/mpeg": ".mp3",
+    "audio/mp3": ".mp3",
+    "audio/mp4": ".m4a",
+    "audio/m4a": ".m4a",
+    "audio/x-m4a": ".m4a",
+    "audio/aac": ".aac",
+    "audio/wav": ".wav",
+    "audio/wave": ".wav",
+    "audio/x-wav": ".wav",
+    "audio/webm": ".webm",
+    "audio/ogg": ".ogg",
+    "audio/opus": ".opus",
+    "audio/flac": ".flac",
+    "audio/x-flac": ".flac",
+    "audio/aiff": ".aiff",
+    "audio/x-aiff": ".aiff",
+    "video/mp4": ".mp4",
+    "video/quicktime": ".mov",
+    "video/webm": ".webm",
+    "video/x-matroska": ".mkv",
+    "video/x-msvideo": ".avi",
+};
+
+const MEDIA_EXTENSIONS = [
+    ".mp3", ".m4a", ".mp4", ".mpeg", ".mpga", ".wav", ".webm", ".ogg", ".oga", ".opus",
+    ".flac", ".aac", ".aiff", ".mov", ".mkv", ".avi", ".wmv", ".flv", ".3gp",
+];
+
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".mkv", ".webm", ".avi", ".wmv", ".flv", ".3gp"];
+
+export default {
+    methods: {
+        async resolveUrlSource({ url, episode }) {
+            // Works out what a Source URL points to, and checks its type and size before anything is downloaded
+            if (!/^https?:\/\//i.test(url)) {
+                throw new Error(`Invalid Source URL "${url}". The URL must start with http:// or https://.`);
+            }
+
+            const probe = await this.probeUrl(url);
+
+            if (this.isFeedResponse(probe, url)) {
+                console.log("Source URL appears to be a podcast feed. Looking for the episode...");
+                return await this.resolveFeedEpisode({ feedUrl: probe.url, episode });
+            }
+
+            const extension = this.getMediaExtension({ url: probe.url, contentType: probe.content_type, fileName: probe.file_name });
+            this.validateMediaSource({ url, contentType: probe.content_type, extension, size: probe.size });
+
+            const fileName = probe.file_name || decodeURIComponent(basename(new URL(probe.url).pathname)) || `audio${extension ?? ""}`;
+
+            return {
+                type: "url",
+                url: probe.url,
+                file_name: fileName,
+                link: url,
+                content_type: probe.content_type,
+                extension,
+                size: probe.size,
+            };
+        },
+
+        async probeUrl(url) {
+            // Some servers don't allow HEAD requests, so a failed probe just means the type and size are unknown
+            try {
+                const response = await got.head(url, {
+                    followRedirect: true,
+                    throwHttpErrors: false,
+                    timeout: { request: 30000 },
+                });
+
+                if ([404, 410].includes(response.statusCode)) {
+                    throw new Error(`Nothing was found at ${url} (HTTP ${response.statusCode}).`);
+                }
+
+                if (response.statusCode >= 400) {
+                    console.warn(`HEAD request to ${url} returned HTTP ${response.statusCode}. The file's type and size will be checked when it's downloaded.`);
+                    return { url, content_type: null, size: null, file_name: null };
+                }
+
+                const length = Number(response.headers["content-length"]);
+                return {
+                    url: response.url || url,
+                    content_type: response.headers["content-type"]?.split(";")[0].trim().toLowerCase() || null,
+                    size: Number.isFinite(length) && length > 0 ? length : null,
+                    file_name: this.getContentDispositionName(response.headers["content-disposition"]),
+                };
+            } catch (error) {
+                if (/^Nothing was found/.test(error.message)) {
+                    throw error;
+                }
+                console.warn(`Could not check ${url} before downloading: ${error.message}`);
+                return { url, content_type: null, size: null, file_name: null };
+            }
+        },
+
+        getContentDispositionName(header) {
+            if (!header) return null;
+
+            const encoded = header.match(/filename\*=(?:UTF-8'')?([^;]+)/i);
+            if (encoded) {
+                try {
+                    return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ""));
+                } catch (error) {
+                    // Fall through to the plain filename
+                }
+            }
+
+            return header.match(/filename="?([^";]+)"?/i)?.[1].trim() || null;
+        },
+
+        isFeedResponse(probe, url) {
+            if (probe.content_type) {
+                return /(rss|atom|xml)/.test(probe.content_type);
+            }
+            return /\.(rss|xml)$/i.test(new URL(url).pathname) || /\/(feed|rss)\/?$/i.test(new URL(url).pathname);
+        },
+
+        getMediaExtension({ url, contentType, fileName }) {
+            for (const name of [fileName, url && new URL(url).pathname]) {
+                const extension = name ? extname(name).toLowerCase() : "";
+                if (MEDIA_EXTENSIONS.includes(extension)) {
+                    return extension;
+                }
+            }
+            return MEDIA_TYPES[contentType] ?? null;
+        },
+
+        validateMediaSource({ url, contentType, extension, size }) {
+            if (contentType === "text/html") {
+                throw new Error(`The Source URL ${url} points to a web page, not an audio file. Please use a direct download link to the file. For podcasts, you can use the show's RSS feed URL instead.`);
+            }
+
+            // Without a content type (e.g. the HEAD probe was refused), the type is worked out from the download's headers instead
+            if (!contentType && !extension) {
+                console.log(`The type of ${url} couldn't be worked out from its URL. It will be checked when the file is downloaded.`);
+                return;
+            }
+
+            const isMediaType = /^(audio|video)\//.test(contentType ?? "") || /octet-stream/.test(contentType ?? "");
+            if ((contentType && !isMediaType) || !extension) {
+                throw new Error(`The Source URL ${url} doesn't appear to be an audio or video file${contentType ? ` (its content type is ${contentType})` : ""}. Supported file types include ${MEDIA_EXTENSIONS.join(", ")}.`);
+            }
+
+            const maxBytes = VIDEO_EXTENSIONS.includes(extension) ? MAX_VIDEO_BYTES : MAX_AUDIO_BYTES;
+            if (size && size > maxBytes) {
+                throw new Error(`The file at ${url} is ${(size / 1000000).toFixed(0)}MB, which is over the ${maxBytes / 1000000}MB limit for this type of file.`);
+            }
+        },
+
+        async resolveFeedEpisode({ feedUrl, episode }) {
+            let xml;
+            try {
+                xml = await got(feedUrl, { timeout: { request: 60000 } }).text();
+            } catch (error) {
+                throw this.reportError(error, { provider: "url", action: `Failed to load the podcast feed at ${feedUrl}` });
+            }
+
+            const feed = this.parseFeed(xml);
+            if (feed.episodes.length === 0) {
+                throw new Error(`No episodes with audio were found in the podcast feed at ${feedUrl}.`);
+            }
+
+            const selected = this.selectFeedEpisode(feed.episodes, episode);
+            if (!selected) {
+                const recent = feed.episodes.slice(0, 5).map(item => `"${item.title}"`).join(", ");
+                throw new Error(`No episode matching "${episode}" was found in the podcast feed. Recent episodes: ${recent}. Use "latest", an episode number, a GUID, or part of the episode's title.`);
+            }
+
+            console.log(`Selected episode "${selected.title}"${selected.published ? ` (published ${selected.published})` : ""}.`);
+
+            // Enclosure lengths are often missing or wrong, so the server's answer is preferred
+            const probe = await this.probeUrl(selected.enclosure.url);
+            const contentType = probe.content_type && !/octet-stream/.test(probe.content_type)
+                ? probe.content_type
+                : selected.enclosure.type ?? probe.content_type;
+            const size = probe.size ?? (selected.enclosure.length > 0 ? selected.enclosure.length : null);
+            const extension = this.getMediaExtension({ url: probe.url, contentType });
+
+            this.validateMediaSource({ url: selected.enclosure.url, contentType, extension, size });
+
+            return {
+                type: "rss",
+                url: probe.url,
+                file_name: selected.title,
+                link: selected.link || feed.link || selected.enclosure.url,
+                content_type: contentType,
+                extension,
+                size,
+                feed: {
+                    url: feedUrl,
+                    title: feed.title,
+                    episode_title: selected.title,
+                    episode_number: selected.episode,
+                    guid: selected.guid,
+                    published: selected.published,
+                    enclosure_url: selected.enclosure.url,
+                },
+            };
+        },
+
+        parseFeed(xml) {
+            // A small RSS/Atom reader; podcast feeds only need a handful of tags
+            const decode = (value) => {
+                if (value === undefined || value === null) return null;
+                return value
+                    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+                    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+                    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+                    .replace(/&quot;/g, "\"")
+                    .replace(/&apos;/g, "'")
+                    .replace(/&lt;/g, "<")
+                    .replace(/&gt;/g, ">")
+                    .replace(/&amp;/g, "&")
+                    .trim();
+            };
+            const escape = (name) => name.replace(/[:.]/g, "\\$&");
+            const tag = (block, name) => decode(block.match(new RegExp(`<${escape(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escape(name)}>`, "i"))?.[1]);
+            const attr = (element, name) => decode(element?.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "i"))?.slice(1).find(value => value !== undefined));
+
+            const blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) ?? xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) ?? [];
+            const header = xml.split(/<(?:item|entry)[\s>]/i)[0];
+
+            const episodes = blocks.map(block => {
+                const enclosureTag = block.match(/<enclosure\b[^>]*>/i)?.[0]
+                    ?? block.match(/<link\b[^>]*rel\s*=\s*["']enclosure["'][^>]*>/i)?.[0];
+                if (!enclosureTag) return null;
+
+                const published = tag(block, "pubDate") ?? tag(block, "published") ?? tag(block, "updated");
+                const episodeNumber = Number(tag(block, "itunes:episode"));
+                const link = tag(block, "link") || attr(block.match(/<link\b[^>]*rel\s*=\s*["']alternate["'][^>]*>/i)?.[0], "href");
+
+                return {
+                    title: tag(block, "title") || "Untitled episode",
+                    guid: tag(block, "guid") ?? tag(block, "id"),
+                    link: link || null,
+                    published,
+                    published_time: published ? Date.parse(published) || null : null,
+                    episode: Number.isInteger(episodeNumber) && episodeNumber > 0 ? episodeNumber : null,
+                    enclosure: {
+                        url: attr(enclosureTag, "url") ?? attr(enclosureTag, "href"),
+                        type: attr(enclosureTag, "type")?.toLowerCase() ?? null,
+                        length: Number(attr(enclosureTag, "length")) || null,
+                    },
+                };
+            }).filter(item => item?.enclosure.url);
+
+            // Newest first; feeds are usually in this order already, but not always
+            if (episodes.every(item => item.published_time)) {
+                episodes.sort((a, b) => b.published_time - a.published_time);
+            }
+
+            return {
+                title: tag(header, "title"),
+                link: tag(header, "link") || attr(header.match(/<link\b[^>]*rel\s*=\s*["']alternate["'][^>]*>/i)?.[0], "href") || null,
+                episodes,
+            };
+        },
+
+        selectFeedEpisode(episodes, selector) {
+            const query = String(selector ?? "").trim();
+            if (!query || query.toLowerCase() === "latest") {
+                return episodes[0];
+            }
+
+            const byId = episodes.find(item => item.guid === query || item.link === query || item.enclosure.url === query);
+            if (byId) return byId;
+
+            if (/^#?\d+$/.test(query)) {
+                const byNumber = episodes.find(item => item.episode === Number(query.replace("#", "")));
+                if (byNumber) return byNumber;
+            }
+
+            const lowered = query.toLowerCase();
+            return episodes.find(item => item.title.toLowerCase() === lowered)
+                ?? episodes.find(item => item.title.toLowerCase().includes(lowered))
+                ?? null;
+        },
+
+        getUrlSourcePath(source) {
+            // Episode titles can contain slashes and dots, so only a real media extension is removed
+            const extension = extname(source.file_name).toLowerCase();
+            const name = MEDIA_EXTENSIONS.includes(extension) ? source.file_name.slice(0, -extension.length) : source.file_name;
+            const safeName = name
+                .replace(/[\?$#&\{\}\[\]<>\*!@:\+\\\/"'`%|]/g, "")
+                .replace(/\s+/g, " ")
+                .trim()
+                .slice(0, 100) || "audio";
+            return `/tmp/${safeName}${source.extension}`;
+        },
+
+        async downloadUrlToTmp(source) {
+            // If the probe couldn't tell what the file is, it's saved without an extension and renamed once the headers arrive
+            let extension = source.extension;
+            const tmpPath = this.getUrlSourcePath({ ...source, extension: extension ?? "" });
+            let maxBytes = VIDEO_EXTENSIONS.includes(extension) ? MAX_VIDEO_BYTES : MAX_AUDIO_BYTES;
+
+            console.log(`Streaming download of ${source.url} to ${tmpPath}...`);
+
+            const download = got.stream(source.url, { timeout: { response: 60000 } });
+
+            // The headers are checked again in case the probe was refused or the server answers differently to GET
+            download.on("response", (response) => {
+                const contentType = response.headers["content-type"]?.split(";")[0].trim().toLowerCase();
+                const length = Number(response.headers["content-length"]);
+
+                if (!extension) {
+                    extension = this.getMediaExtension({
+                        url: response.url || source.url,
+                        contentType,
+                        fileName: this.getContentDispositionName(response.headers["content-disposition"]),
+                    });
+                    maxBytes = VIDEO_EXTENSIONS.includes(extension) ? MAX_VIDEO_BYTES : MAX_AUDIO_BYTES;
+                }
+
+                if (contentType && /^(text\/html|application\/(rss\+)?xml|text\/xml)/.test(contentType)) {
+                    download.destroy(new Error(`The server sent a ${contentType} page instead of an audio file.`));
+                } else if (!extension) {
+                    download.destroy(new Error(`The file doesn't appear to be an audio or video file${contentType ? ` (its content type is ${contentType})` : ""}. Supported file types include ${MEDIA_EXTENSIONS.join(", ")}.`));
+                } else if (length > maxBytes) {
+                    download.destroy(new Error(`The file is ${(length / 1000000).toFixed(0)}MB, which is over the ${maxBytes / 1000000}MB limit.`));
+                }
+            });
+
+            // Servers don't always send a length, so the limit is also enforced while streaming
+            download.on("downloadProgress", ({ transferred }) => {
+                if (transferred > maxBytes) {
+                    download.destroy(new Error(`The download passed the ${maxBytes / 1000000}MB limit.`));
+                }
+            });
+
+            try {
+                const pipeline = promisify(stream.pipeline);
+                await pipeline(download, fs.createWriteStream(tmpPath));
+            } catch (error) {
+                await fs.promises.rm(tmpPath, { force: true });
+                throw this.reportError(error, { provider: "url", action: `Failed to download ${source.url}` });
+            }
+
+            let path = tmpPath;
+            if (!source.extension) {
+                path = this.getUrlSourcePath({ ...source, extension });
+                await fs.promises.rename(tmpPath, path);
+            }
+
+            const { size } = await fs.promises.stat(path);
+            console.log(`Downloaded ${(size / 1024 / 1024).toFixed(2)}MB to ${path}`);
+
+            return { path, size, extension };
+        },
+    },
+};
@@ -0,0 +1,77 @@
+/**
+ * Callback Stand-In
+ *
+ * A local stand-in for Pipedream's $.flow.rerun(), used to test Transcribe-Summarize's
+ * Wait for Callback mode outside of Pipedream.
+ *
+ * Usage:
+ * 1. Create a stand-in and pass stand.$ to the step's run() as $. The step submits the job
+ *    and returns { status: "awaiting_callback" } with resume_url pointing at this server.
+ * 2. Wait for the provider to call back (e.g. via a tunnel such as ngrok), or POST a saved
+ *    response yourself:
+ *    curl -X POST -H "Content-Type: application/json" --data @examples/deepgram_diarized_response.json http://localhost:8787/resume
+ * 3. await stand.waitForCallback(), then run the step again with stand.resumed$().
+ * 4. stand.close() when done.
+ */
+
+import http from "http";
+
+export function createCallbackStandIn({ port = 8787 } = {}) {
+    let rerunContext = null;
+    let callbackRequest = null;
+    let resolveCallback;
+    const callbackReceived = new Promise((resolve) => {
+        resolveCallback = resolve;
+    });
+
+    const server = http.createServer((req, res) => {
+        if (req.method !== "POST" || req.url !== "/resume") {
+            res.writeHead(404).end();
+            return;
+        }
+
+        let data = "";
+        req.on("data", (chunk) => {
+            data += chunk;
+        });
+        req.on("end", () => {
+            let body = data;
+            try {
+                body = JSON.parse(data);
+            } catch (error) {
+                // Leave non-JSON bodies as strings, like Pipedream does
+            }
+
+            // Same shape as $.context.run.callback_request in Pipedream
+            callbackRequest = { method: req.method, path: req.url, headers: req.headers, body };
+            console.log(`Callback received on ${req.url}`);
+            res.writeHead(200).end();
+            resolveCallback(callbackRequest);
+        });
+    });
+
+    const createContext = (run) => ({
+        context: { run },
+        export: (key, value) => console.log(`$.export(${key}):`, value),
+        flow: {
+            rerun: (delay, context) => {
+                rerunContext = context;
+                if (!server.listening) {
+                    server.listen(port);
+                }
+                console.log(`Stand-in rerun scheduled (delay ${delay}ms). Waiting for a POST to http://localhost:${port}/resume`);
+                return {
+                    resume_url: `http://localhost:${port}/resume`,
+                    cancel_url: `http://localhost:${port}/cancel`,
+                };
+            },
+        },
+    });
+
+    return {
+        $: createContext({ runs: 1 }),
+        waitForCallback: () => callbackReceived,
+        resumed$: () => createContext({ runs: 2, context: rerunContext, callback_request: callbackRequest }),
+        close: () => new Promise((resolve) => (server.listening ? server.close(resolve) : resolve())),
+    };
+}